@@ -0,0 +1,63 @@
+// =============================================================
+//  HOLOGLYPH-BROWSER.JS — Download helpers (DOM only)
+//  In Node, write the bytes from the core encoder with `fs` instead.
+// =============================================================
+
+import { compressGlyfFile, getCompressionStats } from "./hologlyph-core.js";
+
+// -----------------------------
+// Export Helpers
+// -----------------------------
+
+/**
+ * Export a buffer (header + voxel data) to a downloadable .glyf file
+ * @param {Uint8Array} buffer - Complete .glyf file data
+ * @param {string} filename - Desired filename (default: "hologlyph.glyf")
+ * @param {boolean} compress - Whether to compress with RLE (default: true)
+ * @returns {Blob} - Blob object for the file
+ */
+export function exportToFile(buffer, filename = "hologlyph.glyf", compress = true) {
+  let exportData = buffer;
+  
+  if (compress) {
+    const original = buffer.length;
+    exportData = compressGlyfFile(buffer);
+    const stats = getCompressionStats(buffer, exportData);
+    console.log(`Compressed: ${original} → ${exportData.length} bytes (${stats.savings} savings)`);
+  }
+  
+  const blob = new Blob([exportData], { type: "application/octet-stream" });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  
+  // Clean up
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+  
+  return blob;
+}
+
+/**
+ * Convert a buffer to a Blob without triggering download
+ * @param {Uint8Array} buffer - Complete .glyf file data
+ * @returns {Blob} - Blob object for the file
+ */
+export function toBlob(buffer) {
+  return new Blob([buffer], { type: "application/octet-stream" });
+}
+
+/**
+ * Export a simulation/generator function to a .glyf file
+ * @param {Function} generatorFn - Function that returns Uint8Array buffer
+ * @param {string} filename - Desired filename (default: "simulation.glyf")
+ * @param {boolean} compress - Whether to compress with RLE (default: true)
+ * @param {...any} args - Arguments to pass to the generator function
+ * @returns {Blob} - Blob object for the file
+ */
+export function exportSimulation(generatorFn, filename = "simulation.glyf", compress = true, ...args) {
+  const buffer = generatorFn(...args);
+  return exportToFile(buffer, filename, compress);
+}
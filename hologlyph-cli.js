@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+// =============================================================
+//  HOLOGLYPH-CLI.JS — Inspect and convert .glyf files from the shell
+//  Built on hologlyph-core.js only (no DOM). Run `hologlyph help`.
+// =============================================================
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import {
+  COLOR_MODEL,
+  COMPRESSION_TYPE,
+  DEFLATE_FILTER,
+  HologlyphFormatError,
+  HologlyphFrameSource,
+  parseHologlyphHeader,
+  validateHologlyphFile,
+  compressGlyfFileAsync,
+  decompressGlyfFileAsync,
+  getCompressionStats,
+  rebuildGlyfFile,
+} from "./hologlyph-core.js";
+
+const USAGE = `Usage: hologlyph <command> [options] <file...>
+
+Commands:
+  info <file...>             Header, compression and occupied-voxel summary
+  validate <file...>         Check files fully; exits 1 if any is damaged
+  compress <file>            Re-encode with --method (default: rle)
+  decompress <file>          Write raw (uncompressed) voxel data
+  extract-frame <file>       Write frame --frame N as a single-frame file
+  concat <file...>           Join the frames of several files into one
+  resize <file>              Crop or pad the grid to --size WxHxD
+
+Options:
+  -o, --output <file>        Output file (compress, decompress, extract-frame, concat, resize)
+  -m, --method <name>        none, rle, delta, sparse, deflate or smallest
+                             (default: rle for compress, otherwise the input's method)
+      --filter <name>        Deflate filter: planes (default) or none
+      --keyframe-interval <n>  Frames between DELTA keyframes (default: 30)
+      --frame <n>            Frame to extract (default: 0)
+      --size <WxHxD>         New grid size for resize
+      --anchor <name>        Where resize keeps the old grid: corner (default) or center
+      --json                 Machine-readable output (info, validate)
+  -h, --help                 Show this help
+`;
+
+const OPTIONS = {
+  output: { type: "string", short: "o" },
+  method: { type: "string", short: "m" },
+  filter: { type: "string", default: "planes" },
+  "keyframe-interval": { type: "string" },
+  frame: { type: "string", default: "0" },
+  size: { type: "string" },
+  anchor: { type: "string", default: "corner" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Bad command-line input (exit code 2, as opposed to 1 for bad files)
+class UsageError extends Error {}
+
+// -----------------------------
+// Helpers
+// -----------------------------
+
+function readGlyf(path) {
+  // Copy out of Node's shared Buffer pool so byteOffset is always 0
+  return new Uint8Array(readFileSync(path));
+}
+
+function writeGlyf(path, bytes) {
+  if (!path) throw new UsageError("Missing --output <file>");
+  writeFileSync(path, bytes);
+}
+
+function nameOf(table, value) {
+  return Object.keys(table).find((key) => table[key] === value) ?? String(value);
+}
+
+function parseCount(name, text, min = 0) {
+  const value = Number(text);
+  if (!Number.isInteger(value) || value < min) {
+    throw new UsageError(`--${name} must be an integer of at least ${min}, got "${text}"`);
+  }
+  return value;
+}
+
+// Tag errors with the file they came from, for the message printed by main()
+async function forFile(path, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    error.file ??= path;
+    throw error;
+  }
+}
+
+// Decode a file to raw voxel data, keeping its parsed header and original method
+function loadRaw(path) {
+  return forFile(path, async () => {
+    const bytes = readGlyf(path);
+    const source = parseHologlyphHeader(bytes);
+    const raw = await decompressGlyfFileAsync(bytes);
+    const header = parseHologlyphHeader(raw);
+    const end = header.dataOffset + header.frameSizeBytes * header.frameCount;
+    return { path, header, voxels: raw.subarray(header.dataOffset, end), compressionType: source.compressionType };
+  });
+}
+
+// Per-frame durations, expanded from frameDurationMs when the file has no FDUR chunk
+function durationsOf(header) {
+  return header.frameDurations ?? new Array(header.frameCount).fill(header.frameDurationMs);
+}
+
+/**
+ * Encode raw voxel data under a header with the requested method
+ * @param {Object} header - Parsed header the output is based on
+ * @param {Uint8Array} voxels - Raw voxel data
+ * @param {Object} changes - Header fields to override
+ * @param {Object} values - Parsed command-line options
+ * @param {number} fallback - COMPRESSION_TYPE used when --method is not given
+ * @returns {Promise<{file: Uint8Array, raw: Uint8Array, method: string}>}
+ */
+async function encode(header, voxels, changes, values, fallback) {
+  const raw = rebuildGlyfFile(header, voxels, { ...changes, compressionType: COMPRESSION_TYPE.NONE });
+  const method = (values.method ?? nameOf(COMPRESSION_TYPE, fallback)).toUpperCase();
+
+  const filter = DEFLATE_FILTER[values.filter.toUpperCase()];
+  if (filter === undefined) throw new UsageError(`Unknown deflate filter: ${values.filter}`);
+  const options = { filter };
+  if (values["keyframe-interval"] !== undefined) {
+    options.keyframeInterval = parseCount("keyframe-interval", values["keyframe-interval"], 1);
+  }
+
+  if (method === "SMALLEST") {
+    const results = {};
+    for (const name of ["RLE", "DELTA", "SPARSE", "DEFLATE"]) {
+      results[name] = await compressGlyfFileAsync(raw, { ...options, compressionType: COMPRESSION_TYPE[name] });
+    }
+    const { best } = getCompressionStats(raw, results);
+    return { file: results[best], raw, method: best };
+  }
+
+  const compressionType = COMPRESSION_TYPE[method];
+  if (compressionType === undefined) throw new UsageError(`Unknown compression method: ${values.method}`);
+  const file = await compressGlyfFileAsync(raw, { ...options, compressionType });
+  return { file, raw, method };
+}
+
+function reportWrite(path, { file, raw, method }) {
+  const stats = getCompressionStats(raw, file);
+  console.log(`${path}: ${method}, ${file.length} bytes (${stats.savings} savings vs raw)`);
+}
+
+// -----------------------------
+// Commands
+// -----------------------------
+
+async function info(files, values) {
+  const reports = [];
+  for (const path of files) {
+    const { bytes, header, raw } = await forFile(path, async () => {
+      const bytes = readGlyf(path);
+      const header = validateHologlyphFile(bytes);
+      return { bytes, header, raw: await decompressGlyfFileAsync(bytes) };
+    });
+    const stats = getCompressionStats(raw, bytes);
+    // SPARSE files list their occupied voxels directly; others are scanned
+    const frames = new HologlyphFrameSource(header.compressionType === COMPRESSION_TYPE.SPARSE ? bytes : raw);
+    const occupied = [];
+    for (let f = 0; f < header.frameCount; f++) occupied.push(frames.getOccupied(f).count);
+
+    const { thumbnail, appData, ...text } = header.metadata;
+    reports.push({
+      file: path,
+      version: header.version,
+      width: header.width,
+      height: header.height,
+      depth: header.depth,
+      bytesPerVoxel: header.bytesPerVoxel,
+      colorModel: nameOf(COLOR_MODEL, header.colorModel),
+      paletteSize: header.palette ? header.palette.length / 4 : null,
+      frameCount: header.frameCount,
+      frameDurationMs: header.frameDurationMs,
+      frameDurations: header.frameDurations,
+      loop: header.loop,
+      pingPong: header.pingPong,
+      reverse: header.reverse,
+      loopStartFrame: header.loopStartFrame,
+      clips: header.clips,
+      compression: nameOf(COMPRESSION_TYPE, header.compressionType),
+      fileSize: bytes.length,
+      rawSize: raw.length,
+      ratio: stats.ratio,
+      savings: stats.savings,
+      checksum: header.checksum,
+      occupied,
+      metadata: { ...text, thumbnailBytes: thumbnail ? thumbnail.length : 0, appData: Object.keys(appData ?? {}) },
+    });
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(reports, null, 2));
+    return;
+  }
+  for (const report of reports) printInfo(report);
+}
+
+// Smallest and largest value; spreading one argument per frame overflows the stack on long files
+function getRange(values) {
+  return values.reduce((range, value) => ({ min: Math.min(range.min, value), max: Math.max(range.max, value) }),
+    { min: Infinity, max: -Infinity });
+}
+
+function printInfo(report) {
+  const voxels = report.width * report.height * report.depth;
+  const total = report.occupied.reduce((sum, count) => sum + count, 0);
+  const playback = [report.loop && "loop", report.pingPong && "ping-pong", report.reverse && "reverse"]
+    .filter(Boolean).join(", ") || "once";
+  const durations = report.frameDurations && getRange(report.frameDurations);
+  const occupied = getRange(report.occupied);
+  const timing = durations
+    ? `${durations.min}–${durations.max} ms per frame`
+    : `${report.frameDurationMs} ms per frame`;
+
+  console.log(report.file);
+  console.log(`  format       v${report.version}`);
+  console.log(`  grid         ${report.width}×${report.height}×${report.depth}, ${report.bytesPerVoxel} bytes/voxel, ${report.colorModel}` +
+    (report.paletteSize ? ` (${report.paletteSize} colours)` : ""));
+  console.log(`  frames       ${report.frameCount} × ${timing}, ${playback}` +
+    (report.loopStartFrame ? ` from frame ${report.loopStartFrame}` : ""));
+  if (report.clips.length) {
+    console.log(`  clips        ${report.clips.map((clip) => `${clip.name} ${clip.start}-${clip.end}`).join(", ")}`);
+  }
+  console.log(`  compression  ${report.compression}, ${report.fileSize} of ${report.rawSize} bytes (ratio ${report.ratio}, ${report.savings} savings)`);
+  console.log(`  occupied     ${total} voxels; per frame min ${occupied.min}, ` +
+    `avg ${(total / report.frameCount).toFixed(1)}, max ${occupied.max} of ${voxels}`);
+  console.log(`  checksum     ${report.checksum === null ? "none" : `0x${report.checksum.toString(16).padStart(8, "0")}`}`);
+  for (const [key, value] of Object.entries(report.metadata)) {
+    if (key === "thumbnailBytes" && value) console.log(`  thumbnail    ${value} bytes`);
+    else if (key === "appData" && value.length) console.log(`  appData      ${value.join(", ")}`);
+    else if (typeof value === "string") console.log(`  ${key.padEnd(12)} ${value}`);
+  }
+}
+
+async function validate(files, values) {
+  const results = [];
+  for (const path of files) {
+    let bytes;
+    try {
+      bytes = readGlyf(path);
+    } catch (error) {
+      // Missing or unreadable files fail like damaged ones; the rest are still checked
+      results.push({ file: path, ok: false, code: "READ_ERROR", message: error.message });
+      continue;
+    }
+    try {
+      validateHologlyphFile(bytes);
+      // The validator checks DEFLATE structurally; inflating verifies the stream
+      await decompressGlyfFileAsync(bytes);
+      results.push({ file: path, ok: true });
+    } catch (error) {
+      if (!(error instanceof HologlyphFormatError)) throw error;
+      results.push({ file: path, ok: false, code: error.code, message: error.message });
+    }
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const result of results) {
+      console.log(result.ok ? `${result.file}: ok` : `${result.file}: ${result.code} ${result.message}`);
+    }
+  }
+  return results.every((result) => result.ok) ? 0 : 1;
+}
+
+async function compress([path], values) {
+  const { header, voxels } = await loadRaw(path);
+  const result = await encode(header, voxels, {}, values, COMPRESSION_TYPE.RLE);
+  writeGlyf(values.output, result.file);
+  reportWrite(values.output, result);
+}
+
+async function decompress([path], values) {
+  const { header, voxels } = await loadRaw(path);
+  writeGlyf(values.output, rebuildGlyfFile(header, voxels, { compressionType: COMPRESSION_TYPE.NONE }));
+}
+
+async function extractFrame([path], values) {
+  const { header, voxels, compressionType } = await loadRaw(path);
+  const frame = parseCount("frame", values.frame);
+  if (frame >= header.frameCount) {
+    throw new UsageError(`--frame ${frame} is out of range (file has ${header.frameCount} frames)`);
+  }
+
+  const start = frame * header.frameSizeBytes;
+  const result = await encode(header, voxels.subarray(start, start + header.frameSizeBytes), {
+    frameCount: 1,
+    frameDurationMs: durationsOf(header)[frame],
+    frameDurations: null,
+    clips: null,
+    loopStartFrame: 0,
+  }, values, compressionType);
+  writeGlyf(values.output, result.file);
+  reportWrite(values.output, result);
+}
+
+async function concat(files, values) {
+  const inputs = [];
+  for (const path of files) inputs.push(await loadRaw(path));
+  const [first] = inputs;
+  const base = first.header;
+
+  const durations = [];
+  const clips = [];
+  let frameCount = 0;
+  for (const { path, header } of inputs) {
+    for (const field of ["width", "height", "depth", "bytesPerVoxel", "colorModel"]) {
+      if (header[field] !== base[field]) {
+        throw new UsageError(`${path}: ${field} ${header[field]} does not match ${first.path} (${base[field]})`);
+      }
+    }
+    if (header.palette && !header.palette.every((byte, i) => byte === base.palette[i])) {
+      throw new UsageError(`${path}: palette does not match ${first.path}`);
+    }
+
+    for (const clip of header.clips) {
+      if (clips.some((existing) => existing.name === clip.name)) {
+        console.warn(`${path}: skipping clip "${clip.name}" (name already used)`);
+        continue;
+      }
+      clips.push({ name: clip.name, start: clip.start + frameCount, end: clip.end + frameCount });
+    }
+    durations.push(...durationsOf(header));
+    frameCount += header.frameCount;
+  }
+
+  const voxels = new Uint8Array(base.frameSizeBytes * frameCount);
+  let offset = 0;
+  for (const input of inputs) {
+    voxels.set(input.voxels, offset);
+    offset += input.voxels.length;
+  }
+
+  const uniform = durations.every((duration) => duration === durations[0]);
+  const result = await encode(base, voxels, {
+    frameCount,
+    frameDurationMs: durations[0],
+    frameDurations: uniform ? null : durations,
+    clips,
+  }, values, first.compressionType);
+  writeGlyf(values.output, result.file);
+  reportWrite(values.output, result);
+}
+
+async function resize([path], values) {
+  const match = /^(\d+)x(\d+)x(\d+)$/i.exec(values.size ?? "");
+  if (!match) throw new UsageError("resize needs --size WxHxD (e.g. 32x32x32)");
+  const [width, height, depth] = match.slice(1).map(Number);
+  if (values.anchor !== "corner" && values.anchor !== "center") {
+    throw new UsageError(`Unknown anchor: ${values.anchor}`);
+  }
+
+  const { header, voxels, compressionType } = await loadRaw(path);
+  const bpv = header.bytesPerVoxel;
+  const rowBytes = width * bpv;
+  const frameSizeBytes = width * height * depth * bpv;
+  // Shift of the old grid inside the new one (negative when cropping)
+  const shift = (oldSize, newSize) => (values.anchor === "center" ? Math.trunc((newSize - oldSize) / 2) : 0);
+  const dx = shift(header.width, width);
+  const dy = shift(header.height, height);
+  const dz = shift(header.depth, depth);
+
+  const x0 = Math.max(0, dx);
+  const x1 = Math.min(width, header.width + dx);
+  const resized = new Uint8Array(frameSizeBytes * header.frameCount);
+  if (x1 > x0) {
+    for (let f = 0; f < header.frameCount; f++) {
+      const src = f * header.frameSizeBytes;
+      const dst = f * frameSizeBytes;
+      for (let z = Math.max(0, dz); z < Math.min(depth, header.depth + dz); z++) {
+        for (let y = Math.max(0, dy); y < Math.min(height, header.height + dy); y++) {
+          const from = src + (((z - dz) * header.height + (y - dy)) * header.width + (x0 - dx)) * bpv;
+          const to = dst + (z * height + y) * rowBytes + x0 * bpv;
+          resized.set(voxels.subarray(from, from + (x1 - x0) * bpv), to);
+        }
+      }
+    }
+  }
+
+  // v1 headers store one byte per axis
+  const version = Math.max(width, height, depth) > 255 ? 2 : header.version;
+  const result = await encode(header, resized, { width, height, depth, version }, values, compressionType);
+  writeGlyf(values.output, result.file);
+  reportWrite(values.output, result);
+}
+
+const COMMANDS = {
+  info: { run: info, inputs: "many" },
+  validate: { run: validate, inputs: "many" },
+  compress: { run: compress, inputs: "one" },
+  decompress: { run: decompress, inputs: "one" },
+  "extract-frame": { run: extractFrame, inputs: "one" },
+  concat: { run: concat, inputs: "many" },
+  resize: { run: resize, inputs: "one" },
+};
+
+// -----------------------------
+// Entry Point
+// -----------------------------
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [name, ...files] = positionals;
+  if (values.help || !name || name === "help") {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command: ${name}`);
+  if (files.length === 0) throw new UsageError(`${name} needs an input file`);
+  if (command.inputs === "one" && files.length > 1) throw new UsageError(`${name} takes a single input file`);
+
+  return (await command.run(files, values)) ?? 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (error) => {
+    const where = error.file ? `${error.file}: ` : "";
+    if (error instanceof HologlyphFormatError) {
+      console.error(`hologlyph: ${where}${error.message} (${error.code})`);
+      process.exitCode = 1;
+    } else if (error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+      console.error(`hologlyph: ${where}${error.message}\nRun "hologlyph help" for usage.`);
+      process.exitCode = 2;
+    } else {
+      console.error(`hologlyph: ${where}${error.message}`);
+      process.exitCode = 1;
+    }
+  },
+);
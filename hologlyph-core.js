@@ -0,0 +1,2248 @@
+// =============================================================
+//  HOLOGLYPH-CORE.JS — .glyf format, codecs and colour utilities
+//  No DOM access: safe to import from Node scripts and tests.
+//  Includes:
+//    - HSBA Pixel Utilities
+//    - Hologlyph Header Builder + Parser
+//    - Compression, Validation, Palette Conversion
+//    - Frame Source (lazy frame access, streaming)
+// =============================================================
+
+// -----------------------------
+// Utility Functions
+// -----------------------------
+function clamp(v, min, max) {
+  return Math.min(Math.max(v, min), max);
+}
+
+function percentToByte(percent) {
+  const p = clamp(Number(percent) || 0, 0, 100);
+  return Math.round((p / 100) * 255);
+}
+
+function byteToPercent(byte) {
+  const b = clamp(Number(byte) || 0, 0, 255);
+  return Math.round((b / 255) * 100);
+}
+
+function normalizeHsbaInput(input) {
+  if (Array.isArray(input)) {
+    const [h, s, b, a] = input;
+    return { h, s, b, a };
+  }
+  if (typeof input === "string") {
+    const parts = input.split(",").map(v => v.trim());
+    if (parts.length !== 4) throw new Error("HSBA string must have 4 values");
+    const [h, s, b, a] = parts.map(Number);
+    return { h, s, b, a };
+  }
+  if (typeof input === "object" && input !== null) {
+    return input;
+  }
+  throw new Error("Invalid HSBA input format");
+}
+
+function normalizeRgbaInput(input) {
+  if (Array.isArray(input)) {
+    const [r, g, b, a = 255] = input;
+    return { r, g, b, a };
+  }
+  if (typeof input === "string") {
+    const hex = input.replace(/^#/, "");
+    if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) throw new Error("RGBA string must be #rrggbb or #rrggbbaa");
+    const value = (i) => parseInt(hex.slice(i, i + 2), 16);
+    return { r: value(0), g: value(2), b: value(4), a: hex.length === 8 ? value(6) : 255 };
+  }
+  if (typeof input === "object" && input !== null) {
+    const { r, g, b, a = 255 } = input;
+    return { r, g, b, a };
+  }
+  throw new Error("Invalid RGBA input format");
+}
+
+// -----------------------------
+// HSBA Pixel Utilities
+// -----------------------------
+export const HSBAUtil = {
+  encodePixel(input) {
+    const { h, s, b, a } = normalizeHsbaInput(input);
+    const hByte = clamp(Math.round(Number(h) || 0), 0, 255);
+    const sByte = percentToByte(s);
+    const bByte = percentToByte(b);
+    const aByte = percentToByte(a);
+    return new Uint8Array([hByte, sByte, bByte, aByte]);
+  },
+
+  decodePixel(bytes) {
+    const [h, sByte, bByte, aByte] = bytes;
+    return {
+      h: clamp(Number(h) || 0, 0, 255),
+      s: byteToPercent(sByte),
+      b: byteToPercent(bByte),
+      a: byteToPercent(aByte),
+    };
+  },
+
+  /**
+   * Convert HSBA (h 0-255, s/b/a 0-100) to 8-bit RGBA
+   * @param {Object|Array|string} input - Same formats as encodePixel
+   * @returns {{r: number, g: number, b: number, a: number}} - Channels 0-255
+   */
+  toRgba(input) {
+    const { h, s, b, a } = normalizeHsbaInput(input);
+    const rgba = hsbaToRgbaUnit(Number(h) || 0, Number(s) || 0, Number(b) || 0, Number(a) || 0);
+    return {
+      r: Math.round(rgba[0] * 255),
+      g: Math.round(rgba[1] * 255),
+      b: Math.round(rgba[2] * 255),
+      a: Math.round(rgba[3] * 255),
+    };
+  },
+
+  /**
+   * Convert 8-bit RGBA to HSBA (h 0-255, s/b/a 0-100)
+   * @param {Object|Array|string} input - {r, g, b, a}, [r, g, b, a] or "#rrggbb" / "#rrggbbaa"
+   * @returns {{h: number, s: number, b: number, a: number}}
+   */
+  fromRgba(input) {
+    const { r, g, b, a } = normalizeRgbaInput(input);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+
+    let hDeg = 0;
+    if (delta > 0) {
+      if (max === r) hDeg = 60 * (((g - b) / delta + 6) % 6);
+      else if (max === g) hDeg = 60 * ((b - r) / delta + 2);
+      else hDeg = 60 * ((r - g) / delta + 4);
+    }
+
+    return {
+      h: Math.round((hDeg / 360) * 255) % 256,
+      s: max === 0 ? 0 : Math.round((delta / max) * 100),
+      b: Math.round((max / 255) * 100),
+      a: Math.round((a / 255) * 100),
+    };
+  },
+};
+
+// -----------------------------
+// Hologlyph Header Spec (v1.1 / v2)
+// -----------------------------
+export const HOLOGLYPH_MAGIC = "HGLY";
+export const HOLOGLYPH_VERSION = 2; // Version written by default (1 or 2 can be read)
+
+export const COLOR_MODEL = {
+  HSBA_255_100: 0,
+  INDEXED: 1,   // 1- or 2-byte palette indices into a PALT table of HSBA entries
+  RGBA_8888: 2, // [R, G, B, A] bytes, 0-255 each
+};
+
+export const COMPRESSION_TYPE = {
+  NONE: 0,      // No compression (raw voxel data)
+  RLE: 1,       // Run-Length Encoding
+  DELTA: 2,     // Keyframes + per-frame changed-voxel runs
+  SPARSE: 3,    // Per-frame list of occupied (non-zero) voxels
+  DEFLATE: 4,   // zlib deflate via CompressionStream (async APIs only)
+};
+
+// Byte reordering applied before DEFLATE; stored as the payload's first byte
+export const DEFLATE_FILTER = {
+  NONE: 0,
+  PLANES: 1,    // Per frame, one plane per voxel byte, each as differences from the previous byte
+};
+
+const MAX_RLE_RUN = 255; // Maximum run length for RLE
+const MAX_DELTA_RUN = 65535; // Maximum voxels per delta run (uint16 count)
+const DEFAULT_KEYFRAME_INTERVAL = 30; // Frames between forced delta keyframes
+
+// Delta frame record types
+const DELTA_KEYFRAME = 0;
+const DELTA_DIFF = 1;
+
+// Chunks are [fourcc][u32 length][payload]. v2 files are a chunk sequence
+// ending in DATA; v1 files carry the optional chunks in an extension block
+// (flag bit 3) between the 28-byte header and the voxel data.
+const FLAG_EXTENSIONS = 0b00001000;
+const V2_PREAMBLE_SIZE = 8; // magic, version, 3 reserved bytes
+const CHUNK_HEAD = "HEAD"; // v2 core fields (see writeHeaderV2)
+const CHUNK_DATA = "DATA"; // v2 voxel data; always the last chunk
+const CHUNK_FRAME_DURATIONS = "FDUR"; // u32 duration (ms) per frame
+const CHUNK_CLIPS = "CLIP"; // u16 count, then [u8 nameLength][name][u32 start][u32 end]
+const CHUNK_PALETTE = "PALT"; // HSBA bytes per palette entry (entry count = length / 4)
+const CHUNK_APP_DATA = "APPD"; // [u8 keyLength][key][arbitrary bytes]
+const CHUNK_THUMBNAIL = "THMB"; // Encoded preview image (e.g. PNG)
+const CHUNK_CHECKSUM = "DCRC"; // u32 CRC-32 of the voxel data payload
+
+// UTF-8 text metadata chunks by metadata field
+const TEXT_CHUNKS = {
+  title: "TITL",
+  author: "AUTH",
+  license: "LICN",
+  tool: "TOOL",
+};
+
+const HEAD_CHUNK_SIZE = 22;
+const UNKNOWN_DATA_LENGTH = 0xffffffff; // DATA runs to the end of the file
+
+const MAX_PALETTE_SIZE = 65536; // Largest palette addressable by 2-byte indices
+const MAX_DIMENSION = { 1: 255, 2: 65535 }; // Per-axis grid size by header version
+const V1_HEADER_SIZE = 28;
+
+// Error codes carried by HologlyphFormatError
+export const FORMAT_ERROR = {
+  BAD_MAGIC: "BAD_MAGIC",                     // Not a .glyf file
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION", // Version byte is not 1 or 2
+  TRUNCATED_HEADER: "TRUNCATED_HEADER",       // File ends inside the header or a chunk
+  BAD_HEADER: "BAD_HEADER",                   // Header size, dimensions or missing HEAD/palette
+  BAD_BYTES_PER_VOXEL: "BAD_BYTES_PER_VOXEL", // Not valid for the colour model
+  BAD_COLOR_MODEL: "BAD_COLOR_MODEL",         // Unknown colour model
+  BAD_COMPRESSION: "BAD_COMPRESSION",         // Unknown compression type
+  TRUNCATED_DATA: "TRUNCATED_DATA",           // Voxel data shorter than the header promises
+  BAD_DATA: "BAD_DATA",                       // Voxel data overruns, has trailing bytes or bad records
+  CHECKSUM_MISMATCH: "CHECKSUM_MISMATCH",     // DCRC chunk does not match the voxel data
+};
+
+/**
+ * Thrown when a .glyf file is malformed. `code` is one of FORMAT_ERROR, so
+ * callers can tell a truncated download from a corrupt or unsupported file.
+ */
+export class HologlyphFormatError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "HologlyphFormatError";
+    this.code = code;
+  }
+}
+
+/**
+ * Create a .glyf header. `HOLOGLYPH_VERSION` (or `options.version`) picks the
+ * layout: v2 writes a chunk sequence ending in the DATA chunk header, v1 the
+ * fixed 28-byte header (plus an extension block when optional chunks are needed).
+ * @param {Object} options - Header fields (see README)
+ * @returns {Uint8Array} - Header bytes; voxel data follows directly
+ */
+export function createHologlyphHeader(options = {}) {
+  const {
+    version = HOLOGLYPH_VERSION,
+    width = 32,
+    height = 32,
+    depth = 32,
+    frameCount = 1,
+    frameDurationMs = 100,
+    loop = true,
+    pingPong = false,
+    reverse = false,
+    loopStartFrame = 0,
+    bytesPerVoxel = 4,
+    colorModel = COLOR_MODEL.HSBA_255_100,
+    compressionType = COMPRESSION_TYPE.NONE,
+    frameDurations = null,
+    clips = null,
+    palette = null,
+    metadata = null,
+    checksum = null,
+  } = options;
+
+  if (version !== 1 && version !== 2) {
+    throw new Error(`Unsupported hologlyph version: ${version}`);
+  }
+  const maxDimension = MAX_DIMENSION[version];
+  for (const [name, value] of Object.entries({ width, height, depth })) {
+    checkHeaderField(name, value, 1, maxDimension,
+      version === 1 ? " (use a v2 header for larger grids)" : "");
+  }
+  checkHeaderField("bytesPerVoxel", bytesPerVoxel, 1, 255);
+  checkHeaderField("frameCount", frameCount, 1, 0xffffffff);
+  checkHeaderField("frameDurationMs", frameDurationMs, 0, 0xffffffff);
+  checkHeaderField("loopStartFrame", loopStartFrame, 0, 0xffffffff);
+
+  if (colorModel === COLOR_MODEL.RGBA_8888 && bytesPerVoxel !== 4) {
+    throw new Error("RGBA voxels must be 4 bytes");
+  }
+  if (colorModel === COLOR_MODEL.INDEXED) {
+    if (!palette || palette.length === 0) throw new Error("Indexed colour model needs a palette");
+    if (bytesPerVoxel !== 1 && bytesPerVoxel !== 2) throw new Error("Indexed voxels must be 1 or 2 bytes");
+    if (palette.length / 4 > 2 ** (8 * bytesPerVoxel)) {
+      throw new Error(`Palette of ${palette.length / 4} entries needs 2-byte indices`);
+    }
+  }
+
+  let flags = 0;
+  if (loop) flags |= 0b00000001;
+  if (pingPong) flags |= 0b00000010;
+  if (reverse) flags |= 0b00000100;
+
+  const fields = {
+    width, height, depth, frameCount, frameDurationMs, loopStartFrame,
+    bytesPerVoxel, colorModel, compressionType, flags,
+  };
+  const chunks = encodeOptionalChunks(frameCount, frameDurations, clips,
+    colorModel === COLOR_MODEL.INDEXED ? palette : null, metadata, checksum);
+
+  if (version === 1) return writeHeaderV1(fields, chunks);
+
+  const rawLength = width * height * depth * bytesPerVoxel * frameCount;
+  let { dataLength } = options;
+  if (dataLength == null) {
+    dataLength = compressionType === COMPRESSION_TYPE.NONE && rawLength < UNKNOWN_DATA_LENGTH
+      ? rawLength
+      : UNKNOWN_DATA_LENGTH;
+  }
+  return writeHeaderV2(fields, chunks, dataLength);
+}
+
+// Header fields are fixed-width integers; reject values that would wrap
+function checkHeaderField(name, value, min, max, hint = "") {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be an integer from ${min} to ${max}, got ${value}${hint}`);
+  }
+}
+
+// v1: fixed 28-byte header, optional chunks in an extension block
+function writeHeaderV1(fields, chunks) {
+  const headerSize = V1_HEADER_SIZE;
+  const extensions = chunks.length > 0 ? encodeChunks(chunks) : null;
+  const buffer = new ArrayBuffer(headerSize + (extensions ? 4 + extensions.length : 0));
+  const u8 = new Uint8Array(buffer);
+  const dv = new DataView(buffer);
+
+  // Magic "HGLY"
+  for (let i = 0; i < 4; i++) {
+    u8[i] = HOLOGLYPH_MAGIC.charCodeAt(i);
+  }
+
+  u8[4] = 1;
+  u8[5] = headerSize;
+  u8[6] = fields.flags | (extensions ? FLAG_EXTENSIONS : 0);
+
+  u8[7] = fields.bytesPerVoxel;
+  u8[8] = fields.width;
+  u8[9] = fields.height;
+  u8[10] = fields.depth;
+  u8[11] = fields.colorModel;
+
+  dv.setUint32(12, fields.frameCount, true);
+  dv.setUint32(16, fields.frameDurationMs, true);
+  dv.setUint32(20, 0, true); // reserved
+  dv.setUint32(24, fields.loopStartFrame, true);
+  
+  // Byte 23: Compression type (was reserved)
+  u8[23] = fields.compressionType;
+
+  if (extensions) {
+    dv.setUint32(headerSize, extensions.length, true);
+    u8.set(extensions, headerSize + 4);
+  }
+
+  return u8;
+}
+
+// v2: preamble, HEAD chunk, optional chunks, then the DATA chunk header
+function writeHeaderV2(fields, chunks, dataLength) {
+  const head = new Uint8Array(HEAD_CHUNK_SIZE);
+  const dv = new DataView(head.buffer);
+  dv.setUint16(0, fields.width, true);
+  dv.setUint16(2, fields.height, true);
+  dv.setUint16(4, fields.depth, true);
+  head[6] = fields.bytesPerVoxel;
+  head[7] = fields.colorModel;
+  head[8] = fields.compressionType;
+  head[9] = fields.flags;
+  dv.setUint32(10, fields.frameCount, true);
+  dv.setUint32(14, fields.frameDurationMs, true);
+  dv.setUint32(18, fields.loopStartFrame, true);
+
+  const body = encodeChunks([[CHUNK_HEAD, head], ...chunks]);
+  const u8 = new Uint8Array(V2_PREAMBLE_SIZE + body.length + 8);
+  for (let i = 0; i < 4; i++) {
+    u8[i] = HOLOGLYPH_MAGIC.charCodeAt(i);
+  }
+  u8[4] = 2;
+  u8.set(body, V2_PREAMBLE_SIZE);
+
+  // DATA chunk header; the voxel payload is appended by the caller
+  const dataHeader = V2_PREAMBLE_SIZE + body.length;
+  for (let i = 0; i < 4; i++) u8[dataHeader + i] = CHUNK_DATA.charCodeAt(i);
+  new DataView(u8.buffer).setUint32(dataHeader + 4, dataLength, true);
+
+  return u8;
+}
+
+/**
+ * Parse a .glyf header (v1 or v2). Only the header is checked; use
+ * validateHologlyphFile to also verify the voxel data.
+ * @param {Uint8Array|ArrayBuffer} input - Start of a .glyf file (at least the header)
+ * @returns {Object} - Header fields, plus `dataOffset` and `frameSizeBytes`
+ * @throws {HologlyphFormatError}
+ */
+export function parseHologlyphHeader(input) {
+  const u8 = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (u8.length < 8) throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_HEADER, "File is too short for a hologlyph header");
+
+  const magic =
+    String.fromCharCode(u8[0]) +
+    String.fromCharCode(u8[1]) +
+    String.fromCharCode(u8[2]) +
+    String.fromCharCode(u8[3]);
+
+  if (magic !== HOLOGLYPH_MAGIC) throw new HologlyphFormatError(FORMAT_ERROR.BAD_MAGIC, "Not a hologlyph file (bad magic)");
+
+  const version = u8[4];
+  let header;
+  if (version === 2) {
+    header = parseHeaderV2(u8);
+  } else if (version === 1) {
+    header = parseHeaderV1(u8);
+  } else {
+    throw new HologlyphFormatError(FORMAT_ERROR.UNSUPPORTED_VERSION, `Unsupported hologlyph version: ${version}`);
+  }
+
+  checkParsedHeader(header);
+  header.frameSizeBytes = header.width * header.height * header.depth * header.bytesPerVoxel;
+  return { magic, version, ...header };
+}
+
+// Reject header values no reader could make sense of
+function checkParsedHeader(header) {
+  const { width, height, depth, bytesPerVoxel, colorModel, compressionType } = header;
+  if (!width || !height || !depth) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_HEADER, `Invalid grid size ${width}×${height}×${depth}`);
+  }
+  if (!Object.values(COLOR_MODEL).includes(colorModel)) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_COLOR_MODEL, `Unknown colour model: ${colorModel}`);
+  }
+  if (!Object.values(COMPRESSION_TYPE).includes(compressionType)) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_COMPRESSION, `Unknown compression type: ${compressionType}`);
+  }
+
+  const validSizes = colorModel === COLOR_MODEL.INDEXED ? [1, 2] : [4];
+  if (!validSizes.includes(bytesPerVoxel)) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_BYTES_PER_VOXEL,
+      `${bytesPerVoxel} bytes per voxel is not valid for colour model ${colorModel}`);
+  }
+  if (colorModel === COLOR_MODEL.INDEXED && !header.palette) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_HEADER, "Indexed hologlyph file has no palette");
+  }
+}
+
+function parseHeaderV1(u8) {
+  if (u8.length < V1_HEADER_SIZE) throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_HEADER, "Truncated hologlyph header");
+  if (u8[5] !== V1_HEADER_SIZE) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_HEADER, `Unexpected v1 header size: ${u8[5]}`);
+  }
+
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const flags = u8[6];
+  const frameCount = dv.getUint32(12, true);
+
+  let dataOffset = V1_HEADER_SIZE;
+  let optional = decodeOptionalChunks(u8, [], frameCount);
+  if (flags & FLAG_EXTENSIONS) {
+    dataOffset = getHeaderLength(u8);
+    if (!dataOffset || u8.length < dataOffset) {
+      throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_HEADER, "Truncated hologlyph header");
+    }
+    optional = decodeOptionalChunks(u8, readChunks(u8, 32, dataOffset), frameCount);
+  }
+
+  return {
+    headerSize: u8[5],
+    ...decodeFlags(flags),
+    loopStartFrame: dv.getUint32(24, true),
+    bytesPerVoxel: u8[7],
+    width: u8[8],
+    height: u8[9],
+    depth: u8[10],
+    colorModel: u8[11],
+    compressionType: u8[23] || COMPRESSION_TYPE.NONE, // Default to no compression for old files
+    frameCount,
+    frameDurationMs: dv.getUint32(16, true),
+    ...optional,
+    dataOffset,
+    dataLength: null,
+  };
+}
+
+function parseHeaderV2(u8) {
+  const dataOffset = getHeaderLength(u8);
+  if (!dataOffset) throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_HEADER, "Truncated hologlyph header");
+
+  const chunks = readChunks(u8, V2_PREAMBLE_SIZE, dataOffset - 8);
+  const head = chunks.find((chunk) => chunk.tag === CHUNK_HEAD);
+  if (!head || head.length < HEAD_CHUNK_SIZE) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_HEADER, "Missing HEAD chunk");
+  }
+  const dataLength = new DataView(u8.buffer, u8.byteOffset).getUint32(dataOffset - 4, true);
+
+  const dv = new DataView(u8.buffer, u8.byteOffset + head.offset, head.length);
+  const frameCount = dv.getUint32(10, true);
+
+  return {
+    headerSize: dataOffset,
+    ...decodeFlags(u8[head.offset + 9]),
+    loopStartFrame: dv.getUint32(18, true),
+    bytesPerVoxel: u8[head.offset + 6],
+    width: dv.getUint16(0, true),
+    height: dv.getUint16(2, true),
+    depth: dv.getUint16(4, true),
+    colorModel: u8[head.offset + 7],
+    compressionType: u8[head.offset + 8],
+    frameCount,
+    frameDurationMs: dv.getUint32(14, true),
+    ...decodeOptionalChunks(u8, chunks, frameCount),
+    dataOffset,
+    dataLength: dataLength === UNKNOWN_DATA_LENGTH ? null : dataLength,
+  };
+}
+
+function decodeFlags(flags) {
+  return {
+    loop: (flags & 0x01) !== 0,
+    pingPong: (flags & 0x02) !== 0,
+    reverse: (flags & 0x04) !== 0,
+  };
+}
+
+/**
+ * Number of bytes before the voxel data
+ * @param {Uint8Array} u8 - Start of a .glyf file
+ * @returns {number} - Header length, or 0 if too few bytes are available to tell
+ */
+function getHeaderLength(u8) {
+  if (u8.length < 8) return 0;
+
+  if (u8[4] === 2) {
+    // Walk chunk headers up to DATA, skipping over payloads
+    const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+    let pos = V2_PREAMBLE_SIZE;
+    while (pos + 8 <= u8.length) {
+      if (readFourcc(u8, pos) === CHUNK_DATA) return pos + 8;
+      pos += 8 + dv.getUint32(pos + 4, true);
+    }
+    return 0;
+  }
+
+  if (u8.length < V1_HEADER_SIZE) return 0;
+  if (!(u8[6] & FLAG_EXTENSIONS)) return V1_HEADER_SIZE;
+  if (u8.length < 32) return 0;
+  const blockLength = (u8[28] | (u8[29] << 8) | (u8[30] << 16) | (u8[31] << 24)) >>> 0;
+  return 32 + blockLength;
+}
+
+function readFourcc(u8, pos) {
+  return String.fromCharCode(u8[pos], u8[pos + 1], u8[pos + 2], u8[pos + 3]);
+}
+
+// Serialize [tag, payload] pairs as [fourcc][u32 length][payload]
+function encodeChunks(chunks) {
+  const length = chunks.reduce((sum, [, payload]) => sum + 8 + payload.length, 0);
+  const out = new Uint8Array(length);
+  const dv = new DataView(out.buffer);
+
+  let pos = 0;
+  for (const [tag, payload] of chunks) {
+    for (let i = 0; i < 4; i++) out[pos + i] = tag.charCodeAt(i);
+    dv.setUint32(pos + 4, payload.length, true);
+    out.set(payload, pos + 8);
+    pos += 8 + payload.length;
+  }
+  return out;
+}
+
+// Locate the chunks between `start` and `end`
+function readChunks(u8, start, end) {
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const chunks = [];
+
+  let pos = start;
+  while (pos + 8 <= end) {
+    const tag = readFourcc(u8, pos);
+    const length = dv.getUint32(pos + 4, true);
+    if (pos + 8 + length > end) {
+      throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_HEADER, `Truncated ${tag} chunk`);
+    }
+    chunks.push({ tag, offset: pos + 8, length });
+    pos += 8 + length;
+  }
+  return chunks;
+}
+
+/**
+ * Build the optional chunks (frame durations, clips, palette, metadata, checksum)
+ * @returns {Array<[string, Uint8Array]>}
+ */
+function encodeOptionalChunks(frameCount, frameDurations, clips, palette, metadata, checksum) {
+  const chunks = [];
+  const encoder = new TextEncoder();
+
+  if (frameDurations && frameDurations.length > 0) {
+    if (frameDurations.length !== frameCount) {
+      throw new Error(`Expected ${frameCount} frame durations, got ${frameDurations.length}`);
+    }
+    const payload = new Uint8Array(frameCount * 4);
+    const dv = new DataView(payload.buffer);
+    frameDurations.forEach((ms, i) => dv.setUint32(i * 4, ms, true));
+    chunks.push([CHUNK_FRAME_DURATIONS, payload]);
+  }
+
+  if (clips && clips.length > 0) {
+    const names = clips.map((clip) => encoder.encode(clip.name));
+    const payload = new Uint8Array(2 + names.reduce((sum, name) => sum + 1 + name.length + 8, 0));
+    const dv = new DataView(payload.buffer);
+    dv.setUint16(0, clips.length, true);
+
+    let pos = 2;
+    clips.forEach((clip, i) => {
+      const name = names[i];
+      if (name.length === 0 || name.length > 255) {
+        throw new Error(`Clip name must be 1-255 bytes: "${clip.name}"`);
+      }
+      if (clip.start < 0 || clip.end < clip.start || clip.end >= frameCount) {
+        throw new Error(`Clip "${clip.name}" range ${clip.start}-${clip.end} is outside 0-${frameCount - 1}`);
+      }
+      payload[pos++] = name.length;
+      payload.set(name, pos);
+      pos += name.length;
+      dv.setUint32(pos, clip.start, true);
+      dv.setUint32(pos + 4, clip.end, true);
+      pos += 8;
+    });
+    chunks.push([CHUNK_CLIPS, payload]);
+  }
+
+  if (palette && palette.length > 0) {
+    if (palette.length % 4 !== 0) throw new Error("Palette must hold 4 HSBA bytes per entry");
+    chunks.push([CHUNK_PALETTE, palette]);
+  }
+
+  if (metadata) {
+    for (const [field, tag] of Object.entries(TEXT_CHUNKS)) {
+      if (metadata[field]) chunks.push([tag, encoder.encode(String(metadata[field]))]);
+    }
+    if (metadata.thumbnail) {
+      chunks.push([CHUNK_THUMBNAIL, metadata.thumbnail]);
+    }
+    for (const [key, value] of Object.entries(metadata.appData || {})) {
+      const keyBytes = encoder.encode(key);
+      if (keyBytes.length === 0 || keyBytes.length > 255) {
+        throw new Error(`App data key must be 1-255 bytes: "${key}"`);
+      }
+      const bytes = value instanceof Uint8Array ? value : encoder.encode(String(value));
+      const payload = new Uint8Array(1 + keyBytes.length + bytes.length);
+      payload[0] = keyBytes.length;
+      payload.set(keyBytes, 1);
+      payload.set(bytes, 1 + keyBytes.length);
+      chunks.push([CHUNK_APP_DATA, payload]);
+    }
+  }
+
+  if (checksum !== null) {
+    const payload = new Uint8Array(4);
+    new DataView(payload.buffer).setUint32(0, checksum >>> 0, true);
+    chunks.push([CHUNK_CHECKSUM, payload]);
+  }
+
+  return chunks;
+}
+
+// Decode the optional chunks; unknown tags are skipped
+function decodeOptionalChunks(u8, chunks, frameCount) {
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const decoder = new TextDecoder();
+  let frameDurations = null;
+  let palette = null;
+  let checksum = null;
+  const clips = [];
+  const metadata = {};
+
+  for (const { tag, offset, length } of chunks) {
+    const field = Object.keys(TEXT_CHUNKS).find((key) => TEXT_CHUNKS[key] === tag);
+
+    if (tag === CHUNK_FRAME_DURATIONS) {
+      if (length !== frameCount * 4) {
+        throw new HologlyphFormatError(FORMAT_ERROR.BAD_HEADER,
+          `FDUR chunk holds ${length} bytes; ${frameCount} frames need ${frameCount * 4}`);
+      }
+      frameDurations = [];
+      for (let i = 0; i < frameCount; i++) {
+        frameDurations.push(dv.getUint32(offset + i * 4, true));
+      }
+    } else if (tag === CHUNK_CLIPS) {
+      const end = offset + length;
+      if (length < 2) throw new HologlyphFormatError(FORMAT_ERROR.BAD_HEADER, "CLIP chunk has no clip count");
+      const count = dv.getUint16(offset, true);
+      let p = offset + 2;
+      for (let i = 0; i < count; i++) {
+        if (p + 1 > end || p + 1 + u8[p] + 8 > end) {
+          throw new HologlyphFormatError(FORMAT_ERROR.BAD_HEADER, `CLIP chunk ends inside clip ${i + 1} of ${count}`);
+        }
+        const nameLength = u8[p];
+        const name = decoder.decode(u8.subarray(p + 1, p + 1 + nameLength));
+        p += 1 + nameLength;
+        const clip = { name, start: dv.getUint32(p, true), end: dv.getUint32(p + 4, true) };
+        if (clip.start > clip.end || clip.end >= frameCount) {
+          throw new HologlyphFormatError(FORMAT_ERROR.BAD_HEADER,
+            `Clip "${name}" range ${clip.start}-${clip.end} is outside 0-${frameCount - 1}`);
+        }
+        clips.push(clip);
+        p += 8;
+      }
+    } else if (tag === CHUNK_PALETTE) {
+      palette = u8.slice(offset, offset + length - (length % 4));
+    } else if (field) {
+      metadata[field] = decoder.decode(u8.subarray(offset, offset + length));
+    } else if (tag === CHUNK_THUMBNAIL) {
+      metadata.thumbnail = u8.slice(offset, offset + length);
+    } else if (tag === CHUNK_APP_DATA) {
+      const keyLength = u8[offset];
+      if (length < 1 || 1 + keyLength > length) {
+        throw new HologlyphFormatError(FORMAT_ERROR.BAD_HEADER, "APPD chunk is shorter than its key");
+      }
+      const key = decoder.decode(u8.subarray(offset + 1, offset + 1 + keyLength));
+      metadata.appData = metadata.appData || {};
+      metadata.appData[key] = u8.slice(offset + 1 + keyLength, offset + length);
+    } else if (tag === CHUNK_CHECKSUM && length >= 4) {
+      checksum = dv.getUint32(offset, true);
+    }
+  }
+
+  return { frameDurations, clips, palette, metadata, checksum };
+}
+
+// -----------------------------
+// Compression Utilities
+// -----------------------------
+
+/**
+ * Compress voxel data using Run-Length Encoding (RLE)
+ * Format: [count, voxel bytes...] repeated (e.g. [count, H, S, B, A] for HSBA)
+ * Count = number of consecutive identical voxels (1-255)
+ * @param {Uint8Array} voxelData - Raw voxel data (header excluded)
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel (1 or 2 for palette indices)
+ * @returns {Uint8Array} - Compressed data
+ */
+export function compressRLE(voxelData, bytesPerVoxel = 4) {
+  if (voxelData.length === 0) return new Uint8Array(0);
+  if (voxelData.length % bytesPerVoxel !== 0) {
+    throw new Error(`Voxel data must be multiple of ${bytesPerVoxel} bytes`);
+  }
+  
+  const compressed = [];
+  let i = 0;
+  
+  while (i < voxelData.length) {
+    // Count consecutive voxels identical to the one at i
+    let count = 1;
+    let j = i + bytesPerVoxel;
+    
+    while (j < voxelData.length && count < MAX_RLE_RUN) {
+      let same = true;
+      for (let k = 0; k < bytesPerVoxel; k++) {
+        if (voxelData[j + k] !== voxelData[i + k]) {
+          same = false;
+          break;
+        }
+      }
+      if (!same) break;
+      count++;
+      j += bytesPerVoxel;
+    }
+    
+    // Write [count, voxel bytes...]
+    compressed.push(count);
+    for (let k = 0; k < bytesPerVoxel; k++) {
+      compressed.push(voxelData[i + k]);
+    }
+    i = j;
+  }
+  
+  return new Uint8Array(compressed);
+}
+
+/**
+ * Decompress RLE-encoded voxel data
+ * @param {Uint8Array} compressedData - RLE compressed data
+ * @param {number} expectedLength - Expected decompressed length in bytes
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel (1 or 2 for palette indices)
+ * @returns {Uint8Array} - Decompressed voxel data
+ */
+export function decompressRLE(compressedData, expectedLength, bytesPerVoxel = 4) {
+  const decompressed = new Uint8Array(expectedLength);
+  const runSize = 1 + bytesPerVoxel;
+  let writePos = 0;
+  let readPos = 0;
+  
+  while (readPos < compressedData.length && writePos < expectedLength) {
+    if (readPos + runSize > compressedData.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA, `RLE data ends inside a run at byte ${readPos}`);
+    }
+    const count = compressedData[readPos];
+    if (count === 0 || writePos + count * bytesPerVoxel > expectedLength) {
+      throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, `Invalid RLE run of ${count} at byte ${readPos}`);
+    }
+    
+    // Write 'count' copies of this voxel
+    for (let i = 0; i < count; i++) {
+      for (let k = 0; k < bytesPerVoxel; k++) {
+        decompressed[writePos + k] = compressedData[readPos + 1 + k];
+      }
+      writePos += bytesPerVoxel;
+    }
+    
+    readPos += runSize; // Move to next run
+  }
+  
+  if (writePos !== expectedLength) {
+    throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA,
+      `RLE data too short: expected ${expectedLength} bytes, got ${writePos}`);
+  }
+  if (readPos !== compressedData.length) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA,
+      `${compressedData.length - readPos} trailing bytes after RLE data`);
+  }
+  
+  return decompressed;
+}
+
+/**
+ * Compress voxel data as keyframes plus per-frame diffs against the previous frame.
+ * Each frame is stored as a record: [type (1 byte), length (uint32), payload]
+ *   - Keyframe payload: the full frame, RLE-compressed
+ *   - Diff payload: runs of [start voxel (uint32), count (uint16), count × voxel bytes]
+ * A keyframe is written every `keyframeInterval` frames, and whenever a diff
+ * would be larger than the keyframe.
+ * @param {Uint8Array} voxelData - Raw voxel data (header excluded)
+ * @param {number} frameSizeBytes - Bytes per frame
+ * @param {number} keyframeInterval - Maximum frames between keyframes (default: 30)
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel
+ * @returns {Uint8Array} - Compressed data
+ */
+export function compressDelta(voxelData, frameSizeBytes, keyframeInterval = DEFAULT_KEYFRAME_INTERVAL, bytesPerVoxel = 4) {
+  if (frameSizeBytes <= 0 || voxelData.length % frameSizeBytes !== 0) {
+    throw new Error("Voxel data must be a whole number of frames");
+  }
+
+  const frameCount = voxelData.length / frameSizeBytes;
+  const records = [];
+  let totalLength = 0;
+  let sinceKeyframe = 0;
+
+  for (let f = 0; f < frameCount; f++) {
+    const frame = voxelData.subarray(f * frameSizeBytes, (f + 1) * frameSizeBytes);
+    const keyframe = compressRLE(frame, bytesPerVoxel);
+
+    let type = DELTA_KEYFRAME;
+    let payload = keyframe;
+    if (f > 0 && sinceKeyframe < keyframeInterval) {
+      const previous = voxelData.subarray((f - 1) * frameSizeBytes, f * frameSizeBytes);
+      const diff = encodeFrameDiff(previous, frame, bytesPerVoxel);
+      if (diff.length < keyframe.length) {
+        type = DELTA_DIFF;
+        payload = diff;
+      }
+    }
+
+    sinceKeyframe = type === DELTA_KEYFRAME ? 1 : sinceKeyframe + 1;
+    records.push({ type, payload });
+    totalLength += 5 + payload.length;
+  }
+
+  const result = new Uint8Array(totalLength);
+  const dv = new DataView(result.buffer);
+  let offset = 0;
+  for (const { type, payload } of records) {
+    result[offset] = type;
+    dv.setUint32(offset + 1, payload.length, true);
+    result.set(payload, offset + 5);
+    offset += 5 + payload.length;
+  }
+
+  return result;
+}
+
+// Encode the voxels that changed between two frames as [start, count, bytes...] runs
+function encodeFrameDiff(previous, frame, bytesPerVoxel) {
+  const voxelCount = frame.length / bytesPerVoxel;
+  const changed = (i) => {
+    const o = i * bytesPerVoxel;
+    for (let k = 0; k < bytesPerVoxel; k++) {
+      if (previous[o + k] !== frame[o + k]) return true;
+    }
+    return false;
+  };
+
+  const out = [];
+  let i = 0;
+  while (i < voxelCount) {
+    if (!changed(i)) { i++; continue; }
+
+    // Extend the run; absorb single unchanged voxels (cheaper than a new run header)
+    const start = i;
+    let end = i + 1;
+    while (end < voxelCount && end - start < MAX_DELTA_RUN) {
+      if (changed(end)) { end++; continue; }
+      if (end + 1 < voxelCount && end + 1 - start < MAX_DELTA_RUN && changed(end + 1)) { end += 2; continue; }
+      break;
+    }
+
+    const count = end - start;
+    out.push(start & 0xff, (start >>> 8) & 0xff, (start >>> 16) & 0xff, (start >>> 24) & 0xff);
+    out.push(count & 0xff, (count >>> 8) & 0xff);
+    for (let b = start * bytesPerVoxel; b < end * bytesPerVoxel; b++) out.push(frame[b]);
+    i = end;
+  }
+
+  return new Uint8Array(out);
+}
+
+/**
+ * Build a frame index for delta-compressed data
+ * @param {Uint8Array} compressedData - Delta compressed data
+ * @param {number} frameCount - Number of frames expected
+ * @returns {Array<{type: number, offset: number, length: number}>} - Payload location per frame
+ */
+export function indexDeltaFrames(compressedData, frameCount) {
+  const dv = new DataView(compressedData.buffer, compressedData.byteOffset, compressedData.byteLength);
+  const index = [];
+  let offset = 0;
+
+  for (let f = 0; f < frameCount; f++) {
+    if (offset + 5 > compressedData.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA, `Delta data truncated at frame ${f}`);
+    }
+    const type = compressedData[offset];
+    const length = dv.getUint32(offset + 1, true);
+    if (offset + 5 + length > compressedData.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA, `Delta data truncated at frame ${f}`);
+    }
+    index.push({ type, offset: offset + 5, length });
+    offset += 5 + length;
+  }
+
+  if (index.length > 0 && index[0].type !== DELTA_KEYFRAME) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, "Delta data must start with a keyframe");
+  }
+
+  return index;
+}
+
+// Apply one frame record on top of `target` (which holds the previous frame)
+function applyDeltaRecord(compressedData, record, target, bytesPerVoxel) {
+  const payload = compressedData.subarray(record.offset, record.offset + record.length);
+
+  if (record.type === DELTA_KEYFRAME) {
+    target.set(decompressRLE(payload, target.length, bytesPerVoxel));
+    return;
+  }
+  if (record.type !== DELTA_DIFF) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, `Unknown delta record type: ${record.type}`);
+  }
+
+  const dv = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+  let pos = 0;
+  while (pos < payload.length) {
+    if (pos + 6 > payload.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, "Delta diff ends inside a run header");
+    }
+    const start = dv.getUint32(pos, true);
+    const count = dv.getUint16(pos + 4, true);
+    pos += 6;
+    const bytes = count * bytesPerVoxel;
+    if (pos + bytes > payload.length || (start + count) * bytesPerVoxel > target.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, `Delta run at voxel ${start} overruns the frame`);
+    }
+    target.set(payload.subarray(pos, pos + bytes), start * bytesPerVoxel);
+    pos += bytes;
+  }
+}
+
+/**
+ * Decode a single frame from delta-compressed data by replaying from the
+ * nearest preceding keyframe (seeking doesn't require decoding the whole file)
+ * @param {Uint8Array} compressedData - Delta compressed data
+ * @param {number} frameSizeBytes - Bytes per frame
+ * @param {number} frameIndex - Frame to decode
+ * @param {Array} [index] - Frame index from indexDeltaFrames (built if omitted)
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel
+ * @returns {Uint8Array} - Raw voxel bytes for the frame
+ */
+export function decodeDeltaFrame(compressedData, frameSizeBytes, frameIndex, index = null, bytesPerVoxel = 4) {
+  index = index || indexDeltaFrames(compressedData, frameIndex + 1);
+  if (frameIndex < 0 || frameIndex >= index.length) {
+    throw new Error(`Frame ${frameIndex} out of range`);
+  }
+
+  let keyframe = frameIndex;
+  while (keyframe > 0 && index[keyframe].type !== DELTA_KEYFRAME) keyframe--;
+
+  const frame = new Uint8Array(frameSizeBytes);
+  for (let f = keyframe; f <= frameIndex; f++) {
+    applyDeltaRecord(compressedData, index[f], frame, bytesPerVoxel);
+  }
+  return frame;
+}
+
+/**
+ * Decompress delta-encoded voxel data
+ * @param {Uint8Array} compressedData - Delta compressed data
+ * @param {number} frameSizeBytes - Bytes per frame
+ * @param {number} frameCount - Number of frames
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel
+ * @returns {Uint8Array} - Decompressed voxel data
+ */
+export function decompressDelta(compressedData, frameSizeBytes, frameCount, bytesPerVoxel = 4) {
+  const index = indexDeltaFrames(compressedData, frameCount);
+  const decompressed = new Uint8Array(frameSizeBytes * frameCount);
+  const frame = new Uint8Array(frameSizeBytes);
+
+  for (let f = 0; f < frameCount; f++) {
+    applyDeltaRecord(compressedData, index[f], frame, bytesPerVoxel);
+    decompressed.set(frame, f * frameSizeBytes);
+  }
+
+  return decompressed;
+}
+
+/**
+ * Compress voxel data as a list of occupied voxels per frame. Each frame is a record:
+ *   [length (uint32), count (uint32), runs of (gap varint, run varint, voxel bytes)]
+ * where gap is the number of empty voxels skipped before a run of `run` identical
+ * occupied voxels, and count is the number of occupied voxels in the frame.
+ * A voxel is empty when all its bytes are zero, so the encoding is lossless.
+ * @param {Uint8Array} voxelData - Raw voxel data (header excluded)
+ * @param {number} frameSizeBytes - Bytes per frame
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel
+ * @returns {Uint8Array} - Compressed data
+ */
+export function compressSparse(voxelData, frameSizeBytes, bytesPerVoxel = 4) {
+  if (frameSizeBytes <= 0 || voxelData.length % frameSizeBytes !== 0) {
+    throw new Error("Voxel data must be a whole number of frames");
+  }
+
+  const out = [];
+  for (let start = 0; start < voxelData.length; start += frameSizeBytes) {
+    const frame = voxelData.subarray(start, start + frameSizeBytes);
+    const { count, indices, voxels } = collectOccupied(frame, bytesPerVoxel);
+
+    const record = [count & 0xff, (count >>> 8) & 0xff, (count >>> 16) & 0xff, (count >>> 24) & 0xff];
+    let next = 0;
+    let i = 0;
+    while (i < count) {
+      // Extend the run over adjacent occupied voxels with the same bytes
+      let run = 1;
+      while (i + run < count && indices[i + run] === indices[i] + run &&
+             sameVoxel(voxels, i, i + run, bytesPerVoxel)) {
+        run++;
+      }
+
+      writeVarint(record, indices[i] - next);
+      writeVarint(record, run);
+      for (let k = 0; k < bytesPerVoxel; k++) record.push(voxels[i * bytesPerVoxel + k]);
+      next = indices[i] + run;
+      i += run;
+    }
+
+    const length = record.length;
+    out.push(length & 0xff, (length >>> 8) & 0xff, (length >>> 16) & 0xff, (length >>> 24) & 0xff);
+    for (const byte of record) out.push(byte);
+  }
+
+  return new Uint8Array(out);
+}
+
+/**
+ * Build a frame index for sparse-compressed data
+ * @param {Uint8Array} compressedData - Sparse compressed data
+ * @param {number} frameCount - Number of frames expected
+ * @returns {Array<{offset: number, length: number}>} - Record location per frame
+ */
+export function indexSparseFrames(compressedData, frameCount) {
+  const dv = new DataView(compressedData.buffer, compressedData.byteOffset, compressedData.byteLength);
+  const index = [];
+  let offset = 0;
+
+  for (let f = 0; f < frameCount; f++) {
+    if (offset + 4 > compressedData.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA, `Sparse data truncated at frame ${f}`);
+    }
+    const length = dv.getUint32(offset, true);
+    if (offset + 4 + length > compressedData.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA, `Sparse data truncated at frame ${f}`);
+    }
+    index.push({ offset: offset + 4, length });
+    offset += 4 + length;
+  }
+
+  return index;
+}
+
+/**
+ * Decode one sparse frame record into its occupied voxels
+ * @param {Uint8Array} record - Record payload (count, then gap/voxel entries)
+ * @param {number} frameSizeBytes - Bytes per frame (bounds the voxel indices)
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel
+ * @returns {{count: number, indices: Uint32Array, voxels: Uint8Array}} - Voxel indices
+ *   (Z → Y → X order, ascending) and their bytes, `bytesPerVoxel` each
+ */
+export function decodeSparseFrame(record, frameSizeBytes, bytesPerVoxel = 4) {
+  if (record.length < 4) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, "Sparse record is missing its voxel count");
+  }
+  const count = (record[0] | (record[1] << 8) | (record[2] << 16) | (record[3] << 24)) >>> 0;
+  const voxelsPerFrame = frameSizeBytes / bytesPerVoxel;
+  if (count > voxelsPerFrame) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, `Sparse record lists ${count} voxels`);
+  }
+
+  const indices = new Uint32Array(count);
+  const voxels = new Uint8Array(count * bytesPerVoxel);
+  const cursor = { pos: 4 };
+  let next = 0;
+  let i = 0;
+  while (i < count) {
+    const start = next + readVarint(record, cursor);
+    const run = readVarint(record, cursor);
+    const pos = cursor.pos;
+    if (run === 0 || i + run > count || start + run > voxelsPerFrame || pos + bytesPerVoxel > record.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, `Sparse run at voxel ${start} is outside the frame`);
+    }
+    const voxel = record.subarray(pos, pos + bytesPerVoxel);
+    for (let k = 0; k < run; k++, i++) {
+      indices[i] = start + k;
+      voxels.set(voxel, i * bytesPerVoxel);
+    }
+    cursor.pos += bytesPerVoxel;
+    next = start + run;
+  }
+
+  if (cursor.pos !== record.length) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, "Trailing bytes in sparse record");
+  }
+  return { count, indices, voxels };
+}
+
+/**
+ * Decompress sparse-encoded voxel data
+ * @param {Uint8Array} compressedData - Sparse compressed data
+ * @param {number} frameSizeBytes - Bytes per frame
+ * @param {number} frameCount - Number of frames
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel
+ * @returns {Uint8Array} - Decompressed voxel data
+ */
+export function decompressSparse(compressedData, frameSizeBytes, frameCount, bytesPerVoxel = 4) {
+  const decompressed = new Uint8Array(frameSizeBytes * frameCount);
+  indexSparseFrames(compressedData, frameCount).forEach((record, f) => {
+    const occupied = decodeSparseFrame(
+      compressedData.subarray(record.offset, record.offset + record.length), frameSizeBytes, bytesPerVoxel);
+    expandOccupied(occupied, decompressed.subarray(f * frameSizeBytes, (f + 1) * frameSizeBytes), bytesPerVoxel);
+  });
+  return decompressed;
+}
+
+// Unsigned LEB128 varints for sparse gaps and run lengths
+function writeVarint(out, value) {
+  while (value >= 0x80) {
+    out.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  out.push(value);
+}
+
+function readVarint(bytes, cursor) {
+  let value = 0;
+  let scale = 1;
+  for (;;) {
+    if (cursor.pos >= bytes.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, "Sparse record ends inside an entry");
+    }
+    const byte = bytes[cursor.pos++];
+    value += (byte & 0x7f) * scale;
+    if (byte < 0x80) return value;
+    scale *= 0x80;
+  }
+}
+
+function sameVoxel(voxels, a, b, bytesPerVoxel) {
+  for (let k = 0; k < bytesPerVoxel; k++) {
+    if (voxels[a * bytesPerVoxel + k] !== voxels[b * bytesPerVoxel + k]) return false;
+  }
+  return true;
+}
+
+// Occupied (not all-zero) voxels of a dense frame, in the shape decodeSparseFrame returns
+function collectOccupied(frame, bytesPerVoxel) {
+  const voxelCount = frame.length / bytesPerVoxel;
+  const found = [];
+  for (let i = 0; i < voxelCount; i++) {
+    const base = i * bytesPerVoxel;
+    for (let k = 0; k < bytesPerVoxel; k++) {
+      if (frame[base + k] !== 0) {
+        found.push(i);
+        break;
+      }
+    }
+  }
+
+  const indices = Uint32Array.from(found);
+  const voxels = new Uint8Array(indices.length * bytesPerVoxel);
+  indices.forEach((index, i) => {
+    voxels.set(frame.subarray(index * bytesPerVoxel, (index + 1) * bytesPerVoxel), i * bytesPerVoxel);
+  });
+  return { count: indices.length, indices, voxels };
+}
+
+// Write occupied voxels into a zeroed dense frame
+function expandOccupied(occupied, target, bytesPerVoxel) {
+  for (let i = 0; i < occupied.count; i++) {
+    target.set(occupied.voxels.subarray(i * bytesPerVoxel, (i + 1) * bytesPerVoxel), occupied.indices[i] * bytesPerVoxel);
+  }
+  return target;
+}
+
+/**
+ * Compress voxel data with zlib deflate (native CompressionStream). The payload
+ * is [filter (uint8)][zlib stream]; see DEFLATE_FILTER.
+ * @param {Uint8Array} voxelData - Raw voxel data (header excluded)
+ * @param {number} frameSizeBytes - Bytes per frame
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel
+ * @param {number} [filter=DEFLATE_FILTER.PLANES] - Reordering applied first
+ * @returns {Promise<Uint8Array>} - Compressed data
+ */
+export async function compressDeflate(voxelData, frameSizeBytes, bytesPerVoxel = 4, filter = DEFLATE_FILTER.PLANES) {
+  if (typeof CompressionStream === "undefined") {
+    throw new Error("CompressionStream is not supported in this environment");
+  }
+  if (!Object.values(DEFLATE_FILTER).includes(filter)) {
+    throw new Error(`Unknown deflate filter: ${filter}`);
+  }
+
+  const filtered = filter === DEFLATE_FILTER.PLANES
+    ? filterPlanes(voxelData, frameSizeBytes, bytesPerVoxel)
+    : voxelData;
+  const deflated = await transformBytes(filtered, new CompressionStream("deflate"));
+
+  const result = new Uint8Array(1 + deflated.length);
+  result[0] = filter;
+  result.set(deflated, 1);
+  return result;
+}
+
+/**
+ * Decompress deflate-encoded voxel data
+ * @param {Uint8Array} compressedData - Deflate compressed data (filter byte + zlib stream)
+ * @param {number} frameSizeBytes - Bytes per frame
+ * @param {number} frameCount - Number of frames
+ * @param {number} [bytesPerVoxel=4] - Bytes per voxel
+ * @returns {Promise<Uint8Array>} - Decompressed voxel data
+ */
+export async function decompressDeflate(compressedData, frameSizeBytes, frameCount, bytesPerVoxel = 4) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("DecompressionStream is not supported in this environment");
+  }
+  if (compressedData.length === 0) {
+    throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA, "Deflate data is empty");
+  }
+  const filter = compressedData[0];
+  if (!Object.values(DEFLATE_FILTER).includes(filter)) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, `Unknown deflate filter: ${filter}`);
+  }
+
+  let inflated;
+  try {
+    inflated = await transformBytes(compressedData.subarray(1), new DecompressionStream("deflate"));
+  } catch (error) {
+    throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, `Deflate data is corrupt: ${error.message}`);
+  }
+
+  const expectedLength = frameSizeBytes * frameCount;
+  if (inflated.length !== expectedLength) {
+    throw new HologlyphFormatError(
+      inflated.length < expectedLength ? FORMAT_ERROR.TRUNCATED_DATA : FORMAT_ERROR.BAD_DATA,
+      `Deflate data holds ${inflated.length} bytes, expected ${expectedLength}`);
+  }
+
+  return filter === DEFLATE_FILTER.PLANES
+    ? unfilterPlanes(inflated, frameSizeBytes, bytesPerVoxel)
+    : inflated;
+}
+
+// Run bytes through a CompressionStream / DecompressionStream
+async function transformBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Gradients and noisy colour fields deflate far better as per-byte planes of small differences
+function filterPlanes(voxelData, frameSizeBytes, bytesPerVoxel) {
+  const out = new Uint8Array(voxelData.length);
+  const voxelsPerFrame = frameSizeBytes / bytesPerVoxel;
+
+  for (let start = 0; start < voxelData.length; start += frameSizeBytes) {
+    for (let k = 0; k < bytesPerVoxel; k++) {
+      const plane = start + k * voxelsPerFrame;
+      let previous = 0;
+      for (let i = 0; i < voxelsPerFrame; i++) {
+        const value = voxelData[start + i * bytesPerVoxel + k];
+        out[plane + i] = (value - previous) & 0xff;
+        previous = value;
+      }
+    }
+  }
+  return out;
+}
+
+function unfilterPlanes(filtered, frameSizeBytes, bytesPerVoxel) {
+  const out = new Uint8Array(filtered.length);
+  const voxelsPerFrame = frameSizeBytes / bytesPerVoxel;
+
+  for (let start = 0; start < filtered.length; start += frameSizeBytes) {
+    for (let k = 0; k < bytesPerVoxel; k++) {
+      const plane = start + k * voxelsPerFrame;
+      let previous = 0;
+      for (let i = 0; i < voxelsPerFrame; i++) {
+        previous = (previous + filtered[plane + i]) & 0xff;
+        out[start + i * bytesPerVoxel + k] = previous;
+      }
+    }
+  }
+  return out;
+}
+
+// Rebuild a header from parsed fields (keeping its version) for new voxel data.
+// A checksum is carried over (recomputed) only if the source file had one.
+function rebuildHeader(header, changes, voxelData) {
+  // Parsed header fields map 1:1 onto createHologlyphHeader options
+  return createHologlyphHeader({
+    ...header,
+    ...changes,
+    dataLength: voxelData.length,
+    checksum: header.checksum === null ? null : crc32(voxelData),
+  });
+}
+
+// Voxel data of a file: the DATA chunk payload (v2) or everything after the header
+function getPayload(u8, header) {
+  const end = header.dataLength === null ? u8.length : header.dataOffset + header.dataLength;
+  return u8.subarray(header.dataOffset, Math.min(end, u8.length));
+}
+
+/**
+ * Compress a complete .glyf file buffer (header + voxel data)
+ * @param {Uint8Array} buffer - Uncompressed .glyf file
+ * @param {Object} [options] - Compression options
+ * @param {number} [options.compressionType=COMPRESSION_TYPE.RLE] - Method to use
+ * @param {number} [options.keyframeInterval=30] - Frames between keyframes (DELTA only)
+ * @returns {Uint8Array} - Compressed .glyf file
+ */
+export function compressGlyfFile(buffer, options = {}) {
+  const {
+    compressionType = COMPRESSION_TYPE.RLE,
+    keyframeInterval = DEFAULT_KEYFRAME_INTERVAL,
+  } = options;
+  const header = parseHologlyphHeader(buffer);
+  
+  // Already compressed?
+  if (header.compressionType !== COMPRESSION_TYPE.NONE) {
+    console.warn('File is already compressed');
+    return buffer;
+  }
+  
+  // Extract voxel data
+  const voxelData = getPayload(buffer, header);
+  
+  // Compress voxel data
+  let compressedVoxels;
+  if (compressionType === COMPRESSION_TYPE.RLE) {
+    compressedVoxels = compressRLE(voxelData, header.bytesPerVoxel);
+  } else if (compressionType === COMPRESSION_TYPE.DELTA) {
+    compressedVoxels = compressDelta(voxelData, header.frameSizeBytes, keyframeInterval, header.bytesPerVoxel);
+  } else if (compressionType === COMPRESSION_TYPE.SPARSE) {
+    compressedVoxels = compressSparse(voxelData, header.frameSizeBytes, header.bytesPerVoxel);
+  } else if (compressionType === COMPRESSION_TYPE.NONE) {
+    return buffer;
+  } else if (compressionType === COMPRESSION_TYPE.DEFLATE) {
+    throw new Error("DEFLATE compression is asynchronous; use compressGlyfFileAsync");
+  } else {
+    throw new Error(`Unknown compression type: ${compressionType}`);
+  }
+  
+  // Create new header with compression flag, followed by the compressed data
+  return joinFile(rebuildHeader(header, { compressionType }, compressedVoxels), compressedVoxels);
+}
+
+/**
+ * Decompress a complete .glyf file buffer if needed
+ * @param {Uint8Array} buffer - Possibly compressed .glyf file
+ * @returns {Uint8Array} - Decompressed .glyf file (raw format)
+ */
+export function decompressGlyfFile(buffer) {
+  const header = parseHologlyphHeader(buffer);
+  
+  // Not compressed?
+  if (header.compressionType === COMPRESSION_TYPE.NONE) {
+    return buffer;
+  }
+  
+  const compressedVoxels = getPayload(buffer, header);
+  let decompressedVoxels;
+  
+  if (header.compressionType === COMPRESSION_TYPE.RLE) {
+    const expectedLength = header.frameSizeBytes * header.frameCount;
+    decompressedVoxels = decompressRLE(compressedVoxels, expectedLength, header.bytesPerVoxel);
+  } else if (header.compressionType === COMPRESSION_TYPE.DELTA) {
+    decompressedVoxels = decompressDelta(compressedVoxels, header.frameSizeBytes, header.frameCount, header.bytesPerVoxel);
+  } else if (header.compressionType === COMPRESSION_TYPE.SPARSE) {
+    decompressedVoxels = decompressSparse(compressedVoxels, header.frameSizeBytes, header.frameCount, header.bytesPerVoxel);
+  } else if (header.compressionType === COMPRESSION_TYPE.DEFLATE) {
+    throw new Error("DEFLATE data is decompressed asynchronously; use decompressGlyfFileAsync");
+  }
+  
+  // Create new header without compression, followed by the raw data
+  const newHeader = rebuildHeader(header, { compressionType: COMPRESSION_TYPE.NONE }, decompressedVoxels);
+  return joinFile(newHeader, decompressedVoxels);
+}
+
+/**
+ * Compress a complete .glyf file buffer, including with DEFLATE (other
+ * methods behave exactly like compressGlyfFile)
+ * @param {Uint8Array} buffer - Uncompressed .glyf file
+ * @param {Object} [options] - Same as compressGlyfFile, plus:
+ * @param {number} [options.compressionType=COMPRESSION_TYPE.DEFLATE] - Method to use
+ * @param {number} [options.filter=DEFLATE_FILTER.PLANES] - Reordering applied before deflate
+ * @returns {Promise<Uint8Array>} - Compressed .glyf file
+ */
+export async function compressGlyfFileAsync(buffer, options = {}) {
+  const {
+    compressionType = COMPRESSION_TYPE.DEFLATE,
+    filter = DEFLATE_FILTER.PLANES,
+  } = options;
+  if (compressionType !== COMPRESSION_TYPE.DEFLATE) {
+    return compressGlyfFile(buffer, { ...options, compressionType });
+  }
+
+  const header = parseHologlyphHeader(buffer);
+  if (header.compressionType !== COMPRESSION_TYPE.NONE) {
+    console.warn('File is already compressed');
+    return buffer;
+  }
+
+  const compressedVoxels = await compressDeflate(
+    getPayload(buffer, header), header.frameSizeBytes, header.bytesPerVoxel, filter);
+  return joinFile(rebuildHeader(header, { compressionType }, compressedVoxels), compressedVoxels);
+}
+
+/**
+ * Decompress a complete .glyf file buffer if needed, including DEFLATE data
+ * @param {Uint8Array} buffer - Possibly compressed .glyf file
+ * @returns {Promise<Uint8Array>} - Decompressed .glyf file (raw format)
+ */
+export async function decompressGlyfFileAsync(buffer) {
+  const header = parseHologlyphHeader(buffer);
+  if (header.compressionType !== COMPRESSION_TYPE.DEFLATE) {
+    return decompressGlyfFile(buffer);
+  }
+
+  const decompressedVoxels = await decompressDeflate(
+    getPayload(buffer, header), header.frameSizeBytes, header.frameCount, header.bytesPerVoxel);
+  const newHeader = rebuildHeader(header, { compressionType: COMPRESSION_TYPE.NONE }, decompressedVoxels);
+  return joinFile(newHeader, decompressedVoxels);
+}
+
+function joinFile(header, voxelData) {
+  const result = new Uint8Array(header.length + voxelData.length);
+  result.set(header, 0);
+  result.set(voxelData, header.length);
+  return result;
+}
+
+/**
+ * Build a complete .glyf file for new voxel data from a parsed header, e.g.
+ * after editing frames. Fields in `changes` override the header's; a DCRC
+ * checksum is kept (recomputed) only if the source file had one.
+ * @param {Object} header - Parsed header (see parseHologlyphHeader)
+ * @param {Uint8Array} voxelData - Voxel payload, already encoded for `compressionType`
+ * @param {Object} [changes] - createHologlyphHeader options to override
+ * @returns {Uint8Array} - Complete .glyf file
+ */
+export function rebuildGlyfFile(header, voxelData, changes = {}) {
+  return joinFile(rebuildHeader(header, changes, voxelData), voxelData);
+}
+
+/**
+ * Calculate compression ratio, for one result or several to compare
+ * @param {Uint8Array} original - Original buffer
+ * @param {Uint8Array|Object<string, Uint8Array>} compressed - Compressed buffer, or
+ *   compressed buffers keyed by method name (e.g. { RLE, SPARSE, DEFLATE })
+ * @returns {object} - { originalSize, compressedSize, ratio, savings }; for several
+ *   results, `{ methods: { [name]: stats }, best }` where `best` names the smallest
+ */
+export function getCompressionStats(original, compressed) {
+  if (!(compressed instanceof Uint8Array)) {
+    const methods = {};
+    let best = null;
+    for (const [name, data] of Object.entries(compressed)) {
+      methods[name] = getCompressionStats(original, data);
+      if (best === null || data.length < compressed[best].length) best = name;
+    }
+    return { methods, best };
+  }
+
+  const originalSize = original.length;
+  const compressedSize = compressed.length;
+  const ratio = compressedSize / originalSize;
+  const savings = ((1 - ratio) * 100).toFixed(1);
+  
+  return {
+    originalSize,
+    compressedSize,
+    ratio: ratio.toFixed(3),
+    savings: `${savings}%`,
+    smaller: compressedSize < originalSize
+  };
+}
+
+// -----------------------------
+// Validation
+// -----------------------------
+
+let crcTable = null; // Built on first use
+
+/**
+ * CRC-32 (IEEE 802.3, as used by zip and PNG)
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Fully check a .glyf file: header fields, optional chunks (an FDUR entry per
+ * frame, clip ranges, APPD keys), the voxel payload length for its
+ * compression type (RLE and DELTA data is decoded strictly), and the DCRC
+ * checksum chunk when present.
+ * @param {Uint8Array|ArrayBuffer} input - Complete .glyf file
+ * @returns {Object} - The parsed header
+ * @throws {HologlyphFormatError}
+ */
+export function validateHologlyphFile(input) {
+  const u8 = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const header = parseHologlyphHeader(u8);
+  const payload = getPayload(u8, header);
+  const rawLength = header.frameSizeBytes * header.frameCount;
+
+  if (header.dataLength !== null) {
+    if (payload.length < header.dataLength) {
+      throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA,
+        `DATA chunk is ${header.dataLength} bytes but only ${payload.length} are present`);
+    }
+    if (header.dataOffset + header.dataLength < u8.length) {
+      throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, "Unexpected bytes after the DATA chunk");
+    }
+  }
+
+  switch (header.compressionType) {
+    case COMPRESSION_TYPE.NONE:
+      if (payload.length < rawLength) {
+        throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA,
+          `Expected ${rawLength} bytes of voxel data, got ${payload.length}`);
+      }
+      if (payload.length > rawLength) {
+        throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA,
+          `${payload.length - rawLength} trailing bytes after the voxel data`);
+      }
+      break;
+    case COMPRESSION_TYPE.RLE:
+      decompressRLE(payload, rawLength, header.bytesPerVoxel);
+      break;
+    case COMPRESSION_TYPE.DELTA: {
+      const index = indexDeltaFrames(payload, header.frameCount);
+      const last = index[index.length - 1];
+      if (last && last.offset + last.length !== payload.length) {
+        throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, "Trailing bytes after the last delta record");
+      }
+      decompressDelta(payload, header.frameSizeBytes, header.frameCount, header.bytesPerVoxel);
+      break;
+    }
+    case COMPRESSION_TYPE.SPARSE: {
+      const index = indexSparseFrames(payload, header.frameCount);
+      const last = index[index.length - 1];
+      if (last && last.offset + last.length !== payload.length) {
+        throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, "Trailing bytes after the last sparse record");
+      }
+      for (const record of index) {
+        decodeSparseFrame(payload.subarray(record.offset, record.offset + record.length),
+          header.frameSizeBytes, header.bytesPerVoxel);
+      }
+      break;
+    }
+    case COMPRESSION_TYPE.DEFLATE:
+      // Inflating is async; the zlib stream's own checksum is verified when it is decompressed
+      if (payload.length < 2) {
+        throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA, "Deflate data is empty");
+      }
+      if (!Object.values(DEFLATE_FILTER).includes(payload[0])) {
+        throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, `Unknown deflate filter: ${payload[0]}`);
+      }
+      break;
+  }
+
+  if (header.checksum !== null && crc32(payload) !== header.checksum) {
+    throw new HologlyphFormatError(FORMAT_ERROR.CHECKSUM_MISMATCH, "Voxel data does not match its checksum");
+  }
+
+  return header;
+}
+
+/**
+ * Add (or refresh) the DCRC checksum chunk of a .glyf file
+ * @param {Uint8Array} buffer - Complete .glyf file
+ * @returns {Uint8Array} - The same file with a checksum of its voxel data
+ */
+export function addChecksum(buffer) {
+  const header = parseHologlyphHeader(buffer);
+  const payload = getPayload(buffer, header);
+  const newHeader = createHologlyphHeader({
+    ...header,
+    dataLength: payload.length,
+    checksum: crc32(payload),
+  });
+
+  const result = new Uint8Array(newHeader.length + payload.length);
+  result.set(newHeader, 0);
+  result.set(payload, newHeader.length);
+  return result;
+}
+
+// -----------------------------
+// Palette Conversion
+// -----------------------------
+
+/**
+ * Convert an HSBA .glyf file to the indexed colour model. Files with at most
+ * `maxColors` distinct colours convert losslessly; otherwise colours are
+ * reduced with a weighted median cut. Palette entry 0 is always the empty voxel.
+ * @param {Uint8Array} buffer - HSBA .glyf file (compressed or raw)
+ * @param {Object} [options] - Conversion options
+ * @param {number} [options.maxColors=256] - Palette size limit, including the empty entry (2-65536)
+ * @returns {Uint8Array} - Uncompressed indexed .glyf file
+ */
+export function quantizeToPalette(buffer, options = {}) {
+  const { maxColors = 256 } = options;
+  if (maxColors < 2 || maxColors > MAX_PALETTE_SIZE) {
+    throw new Error(`maxColors must be between 2 and ${MAX_PALETTE_SIZE}`);
+  }
+
+  const raw = decompressGlyfFile(buffer);
+  const header = parseHologlyphHeader(raw);
+  if (header.colorModel !== COLOR_MODEL.HSBA_255_100) {
+    throw new Error("Only HSBA files can be quantized");
+  }
+
+  // Histogram of visible colours (packed HSBA → voxel count)
+  const voxels = getPayload(raw, header);
+  const voxelCount = voxels.length / 4;
+  const counts = new Map();
+  for (let i = 0; i < voxelCount; i++) {
+    const o = i * 4;
+    if (voxels[o + 3] === 0 || voxels[o + 2] === 0) continue;
+    const pixel = ((voxels[o] << 24) | (voxels[o + 1] << 16) | (voxels[o + 2] << 8) | voxels[o + 3]) >>> 0;
+    counts.set(pixel, (counts.get(pixel) || 0) + 1);
+  }
+
+  const buckets = medianCut([...counts].map(([pixel, count]) => ({
+    channels: [pixel >>> 24, (pixel >>> 16) & 0xff, (pixel >>> 8) & 0xff, pixel & 0xff],
+    pixel,
+    count,
+  })), maxColors - 1);
+
+  // Entry 0 = empty; each bucket becomes its count-weighted average colour
+  const palette = new Uint8Array((buckets.length + 1) * 4);
+  const indexByPixel = new Map();
+  buckets.forEach((bucket, b) => {
+    const total = bucket.reduce((sum, entry) => sum + entry.count, 0);
+    for (let c = 0; c < 4; c++) {
+      const sum = bucket.reduce((acc, entry) => acc + entry.channels[c] * entry.count, 0);
+      palette[(b + 1) * 4 + c] = Math.round(sum / total);
+    }
+    for (const entry of bucket) indexByPixel.set(entry.pixel, b + 1);
+  });
+
+  const bytesPerVoxel = buckets.length + 1 > 256 ? 2 : 1;
+  const indices = new Uint8Array(voxelCount * bytesPerVoxel);
+  let write = 0;
+  for (let i = 0; i < voxelCount; i++) {
+    const o = i * 4;
+    const pixel = ((voxels[o] << 24) | (voxels[o + 1] << 16) | (voxels[o + 2] << 8) | voxels[o + 3]) >>> 0;
+    const index = indexByPixel.get(pixel) || 0;
+    indices[write] = index & 0xff;
+    if (bytesPerVoxel === 2) indices[write + 1] = index >>> 8;
+    write += bytesPerVoxel;
+  }
+
+  const newHeader = rebuildHeader(header, {
+    colorModel: COLOR_MODEL.INDEXED,
+    bytesPerVoxel,
+    palette,
+    compressionType: COMPRESSION_TYPE.NONE,
+  }, indices);
+
+  const result = new Uint8Array(newHeader.length + indices.length);
+  result.set(newHeader, 0);
+  result.set(indices, newHeader.length);
+  return result;
+}
+
+/**
+ * Convert an indexed .glyf file back to plain HSBA voxels
+ * @param {Uint8Array} buffer - Indexed .glyf file (compressed or raw)
+ * @returns {Uint8Array} - Uncompressed HSBA .glyf file
+ */
+export function expandPalette(buffer) {
+  const raw = decompressGlyfFile(buffer);
+  const header = parseHologlyphHeader(raw);
+  if (header.colorModel !== COLOR_MODEL.INDEXED) return raw;
+
+  const { palette, bytesPerVoxel } = header;
+  const voxelCount = header.frameSizeBytes / bytesPerVoxel * header.frameCount;
+  const voxels = new Uint8Array(voxelCount * 4);
+  let read = header.dataOffset;
+  for (let i = 0; i < voxelCount; i++) {
+    const index = bytesPerVoxel === 2 ? raw[read] | (raw[read + 1] << 8) : raw[read];
+    if (index * 4 < palette.length) {
+      voxels.set(palette.subarray(index * 4, index * 4 + 4), i * 4);
+    }
+    read += bytesPerVoxel;
+  }
+
+  const newHeader = rebuildHeader(header, {
+    colorModel: COLOR_MODEL.HSBA_255_100,
+    bytesPerVoxel: 4,
+    palette: null,
+    compressionType: COMPRESSION_TYPE.NONE,
+  }, voxels);
+
+  const result = new Uint8Array(newHeader.length + voxels.length);
+  result.set(newHeader, 0);
+  result.set(voxels, newHeader.length);
+  return result;
+}
+
+/**
+ * Split colour entries into at most `maxBuckets` groups, always cutting the
+ * bucket with the widest channel range at its weighted median. Used for
+ * palettes here and by the GIF exporter.
+ * @param {Array<{channels: number[], count: number}>} entries - Distinct colours
+ *   (any number of 0-255 channels) and how often each occurs
+ * @param {number} maxBuckets - Largest number of groups to return
+ * @returns {Array<Array<Object>>} - The entries, grouped
+ */
+export function medianCut(entries, maxBuckets) {
+  if (entries.length <= maxBuckets) return entries.map((entry) => [entry]);
+
+  const channelRange = (bucket, c) => {
+    let min = 255;
+    let max = 0;
+    for (const entry of bucket) {
+      min = Math.min(min, entry.channels[c]);
+      max = Math.max(max, entry.channels[c]);
+    }
+    return max - min;
+  };
+
+  const buckets = [entries];
+  while (buckets.length < maxBuckets) {
+    let best = -1;
+    let bestChannel = 0;
+    let bestRange = 0;
+    buckets.forEach((bucket, b) => {
+      if (bucket.length < 2) return;
+      for (let c = 0; c < bucket[0].channels.length; c++) {
+        const range = channelRange(bucket, c);
+        if (range > bestRange) {
+          best = b;
+          bestChannel = c;
+          bestRange = range;
+        }
+      }
+    });
+    if (best < 0) break;
+
+    const bucket = buckets[best].sort((a, b) => a.channels[bestChannel] - b.channels[bestChannel]);
+    const half = bucket.reduce((sum, entry) => sum + entry.count, 0) / 2;
+    let split = 1;
+    for (let acc = bucket[0].count; split < bucket.length - 1 && acc < half; split++) {
+      acc += bucket[split].count;
+    }
+    buckets.splice(best, 1, bucket.slice(0, split), bucket.slice(split));
+  }
+
+  return buckets;
+}
+
+// -----------------------------
+// Frame Source (lazy, indexed frame access)
+// -----------------------------
+
+/**
+ * Look up a Map used as an LRU cache (insertion order doubles as recency
+ * order), marking the entry as most recently used
+ * @param {Map} cache - LRU map
+ * @param {*} key - Entry key
+ * @returns {*} - Cached value, or undefined
+ */
+export function lruGet(cache, key) {
+  const value = cache.get(key);
+  if (value !== undefined) {
+    cache.delete(key);
+    cache.set(key, value);
+  }
+  return value;
+}
+
+/**
+ * Add an entry to a Map used as an LRU cache, evicting the least recently used
+ * entries beyond maxSize
+ * @param {Map} cache - LRU map
+ * @param {*} key - Entry key
+ * @param {*} value - Entry value
+ * @param {number} maxSize - Entries to keep
+ * @param {Function} [onEvict] - Called with (value, key) for each evicted entry,
+ *   e.g. to free GPU buffers
+ */
+export function lruSet(cache, key, value, maxSize, onEvict = null) {
+  cache.set(key, value);
+  while (cache.size > maxSize) {
+    const [oldKey, oldValue] = cache.entries().next().value;
+    cache.delete(oldKey);
+    if (onEvict) onEvict(oldValue, oldKey);
+  }
+}
+
+/**
+ * HologlyphFrameSource - Random access to the frames of a .glyf file without
+ * expanding the whole animation. Frames are located through a per-frame offset
+ * index and decoded on demand into a small LRU cache. Bytes can be appended as
+ * they arrive, so playback can start while a file is still downloading.
+ *
+ * @param {Uint8Array|ArrayBuffer} [data] - Complete .glyf file (omit when streaming)
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.cacheSize=8] - Number of decoded frames kept in memory
+ */
+export class HologlyphFrameSource {
+  constructor(data = null, { cacheSize = 8 } = {}) {
+    this.cacheSize = Math.max(1, cacheSize);
+    this.header = null;
+    this.availableFrames = 0;
+    this.complete = false;
+    this.loaded = Promise.resolve(this);
+
+    this._bytes = new Uint8Array(0);
+    this._length = 0;
+    this._cache = new Map(); // Decoded dense frames
+    this._occupiedCache = new Map(); // Occupied-voxel lists (see getOccupied)
+    this._index = []; // Per-frame payload location (RLE, DELTA and SPARSE)
+    this._scan = null; // Incremental indexing state
+
+    if (data) {
+      // Complete buffer: reference it directly instead of copying
+      this._bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+      this._length = this._bytes.length;
+      this._update();
+      this.finish();
+    }
+  }
+
+  /**
+   * Create a frame source fed by a stream. Resolves as soon as the header and
+   * first frame have arrived; the rest keeps loading in the background
+   * (await `source.loaded` to wait for the whole file). DEFLATE data can't be
+   * decoded piecemeal, so those files resolve once fully received.
+   * @param {Response|ReadableStream|Blob|Promise} input - Fetch response, stream or file
+   * @param {Object} [options] - Same as the constructor
+   * @returns {Promise<HologlyphFrameSource>}
+   */
+  static async fromStream(input, options = {}) {
+    input = await input;
+
+    let stream = input;
+    if (input && typeof input.arrayBuffer === "function" && "ok" in input) {
+      // fetch() Response
+      if (!input.ok) throw new Error(`Failed to load .glyf: HTTP ${input.status}`);
+      const expected = Number(input.headers.get("Content-Length")) || 0;
+      stream = input.body;
+      options = { ...options, expectedLength: expected };
+    } else if (input && typeof input.stream === "function") {
+      // Blob / File
+      options = { ...options, expectedLength: input.size };
+      stream = input.stream();
+    }
+    if (!stream || typeof stream.getReader !== "function") {
+      throw new Error("Expected a Response, ReadableStream or Blob");
+    }
+
+    const source = new HologlyphFrameSource(null, options);
+    if (options.expectedLength) {
+      source._ensureCapacity(options.expectedLength);
+    }
+
+    let resolveReady, rejectReady;
+    const ready = new Promise((resolve, reject) => {
+      resolveReady = resolve;
+      rejectReady = reject;
+    });
+
+    const reader = stream.getReader();
+    source.loaded = (async () => {
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          source.append(value);
+          if (source.availableFrames > 0) resolveReady(source);
+        }
+        if (source.header && source.header.compressionType === COMPRESSION_TYPE.DEFLATE) {
+          await source._inflate();
+        }
+        source.finish();
+        resolveReady(source);
+        return source;
+      } catch (error) {
+        source.error = error;
+        rejectReady(error);
+        throw error;
+      }
+    })();
+    // Errors after the first frame surface through `loaded`
+    source.loaded.catch(() => {});
+
+    return ready;
+  }
+
+  /**
+   * Append newly received bytes and index any frames they complete
+   * @param {Uint8Array} chunk - Next slice of the file
+   */
+  append(chunk) {
+    if (this.complete) throw new Error("Frame source is already complete");
+    this._ensureCapacity(this._length + chunk.length);
+    this._bytes.set(chunk, this._length);
+    this._length += chunk.length;
+    this._update();
+  }
+
+  /**
+   * Mark the input as fully received
+   * @throws {HologlyphFormatError} - If frames are missing or the checksum doesn't match
+   */
+  finish() {
+    this.complete = true;
+    const bytes = this._bytes.subarray(0, this._length);
+    if (!this.header) {
+      // Not even a full header arrived; let the parser report why
+      parseHologlyphHeader(bytes);
+    }
+    if (this.header.compressionType === COMPRESSION_TYPE.DEFLATE) {
+      throw new Error("DEFLATE files need HologlyphFrameSource.fromStream or decompressGlyfFileAsync");
+    }
+    if (this.availableFrames < this.header.frameCount) {
+      throw new HologlyphFormatError(FORMAT_ERROR.TRUNCATED_DATA,
+        `Hologlyph data ended early: ${this.availableFrames} of ${this.header.frameCount} frames`);
+    }
+    if (this.header.checksum !== null && crc32(getPayload(bytes, this.header)) !== this.header.checksum) {
+      throw new HologlyphFormatError(FORMAT_ERROR.CHECKSUM_MISMATCH, "Voxel data does not match its checksum");
+    }
+  }
+
+  /**
+   * Check whether a frame has fully arrived and can be decoded
+   * @param {number} frameIndex - Frame to check
+   * @returns {boolean}
+   */
+  hasFrame(frameIndex) {
+    return frameIndex >= 0 && frameIndex < this.availableFrames;
+  }
+
+  /**
+   * Get the raw voxel bytes of a frame (decoded on demand, cached in an LRU)
+   * @param {number} frameIndex - Frame to fetch
+   * @returns {Uint8Array} - header.frameSizeBytes bytes of voxel data
+   */
+  getFrame(frameIndex) {
+    if (!this.hasFrame(frameIndex)) {
+      throw new Error(`Frame ${frameIndex} is not available`);
+    }
+
+    const { header } = this;
+    if (header.compressionType === COMPRESSION_TYPE.NONE) {
+      const offset = header.dataOffset + frameIndex * header.frameSizeBytes;
+      return this._bytes.subarray(offset, offset + header.frameSizeBytes);
+    }
+    if (header.compressionType === COMPRESSION_TYPE.SPARSE) {
+      // Rarely needed dense; the occupied list is what gets cached
+      const frame = new Uint8Array(header.frameSizeBytes);
+      return expandOccupied(this.getOccupied(frameIndex), frame, header.bytesPerVoxel);
+    }
+
+    let frame = lruGet(this._cache, frameIndex);
+    if (frame) return frame;
+
+    frame = header.compressionType === COMPRESSION_TYPE.RLE
+      ? this._decodeRLEFrame(frameIndex)
+      : this._decodeDeltaFrame(frameIndex);
+    lruSet(this._cache, frameIndex, frame, this.cacheSize);
+    return frame;
+  }
+
+  /**
+   * Get only the occupied (not all-zero) voxels of a frame. SPARSE files are
+   * read directly; other frames are decoded and scanned once, then cached.
+   * @param {number} frameIndex - Frame to fetch
+   * @returns {{count: number, indices: Uint32Array, voxels: Uint8Array}} - Voxel
+   *   indices (Z → Y → X order, ascending) and their bytes
+   */
+  getOccupied(frameIndex) {
+    if (!this.hasFrame(frameIndex)) {
+      throw new Error(`Frame ${frameIndex} is not available`);
+    }
+
+    let occupied = lruGet(this._occupiedCache, frameIndex);
+    if (occupied) return occupied;
+
+    const { header } = this;
+    if (header.compressionType === COMPRESSION_TYPE.SPARSE) {
+      const record = this._index[frameIndex];
+      occupied = decodeSparseFrame(this._bytes.subarray(record.offset, record.offset + record.length),
+        header.frameSizeBytes, header.bytesPerVoxel);
+    } else {
+      occupied = collectOccupied(this.getFrame(frameIndex), header.bytesPerVoxel);
+    }
+    lruSet(this._occupiedCache, frameIndex, occupied, this.cacheSize);
+    return occupied;
+  }
+
+  // Replace a fully received DEFLATE file with its raw form and index that
+  async _inflate() {
+    const bytes = this._bytes.subarray(0, this._length);
+    if (this.header.checksum !== null && crc32(getPayload(bytes, this.header)) !== this.header.checksum) {
+      throw new HologlyphFormatError(FORMAT_ERROR.CHECKSUM_MISMATCH, "Voxel data does not match its checksum");
+    }
+
+    this._bytes = await decompressGlyfFileAsync(bytes);
+    this._length = this._bytes.length;
+    this.header = null;
+    this._update();
+  }
+
+  _ensureCapacity(size) {
+    if (size <= this._bytes.length) return;
+    const grown = new Uint8Array(Math.max(size, this._bytes.length * 2));
+    grown.set(this._bytes.subarray(0, this._length));
+    this._bytes = grown;
+  }
+
+  _update() {
+    if (!this.header) {
+      const bytes = this._bytes.subarray(0, this._length);
+      const headerLength = getHeaderLength(bytes);
+      if (!headerLength || this._length < headerLength) return;
+      this.header = parseHologlyphHeader(bytes);
+    }
+
+    const { header } = this;
+    switch (header.compressionType) {
+      case COMPRESSION_TYPE.NONE: {
+        const received = Math.floor((this._length - header.dataOffset) / header.frameSizeBytes);
+        this.availableFrames = Math.max(0, Math.min(header.frameCount, received));
+        break;
+      }
+      case COMPRESSION_TYPE.RLE:
+        this._indexRLE();
+        break;
+      case COMPRESSION_TYPE.DELTA:
+        this._indexDelta();
+        break;
+      case COMPRESSION_TYPE.SPARSE:
+        this._indexSparse();
+        break;
+      case COMPRESSION_TYPE.DEFLATE:
+        // Not seekable; fromStream inflates the whole payload once it has arrived
+        break;
+      default:
+        throw new Error(`Unknown compression type: ${header.compressionType}`);
+    }
+  }
+
+  // Record, for each frame, the run it starts in and how many of that run's voxels belong to the previous frame
+  _indexRLE() {
+    const { header } = this;
+    const bytes = this._bytes;
+    const runSize = 1 + header.bytesPerVoxel;
+    const voxelsPerFrame = header.frameSizeBytes / header.bytesPerVoxel;
+    const totalVoxels = voxelsPerFrame * header.frameCount;
+    const scan = this._scan || (this._scan = { pos: header.dataOffset, voxels: 0 });
+
+    while (scan.pos + runSize <= this._length && scan.voxels < totalVoxels) {
+      const count = bytes[scan.pos];
+      while (this._index.length < header.frameCount && this._index.length * voxelsPerFrame < scan.voxels + count) {
+        this._index.push({ offset: scan.pos, skip: this._index.length * voxelsPerFrame - scan.voxels });
+      }
+      scan.voxels += count;
+      scan.pos += runSize;
+    }
+
+    this.availableFrames = Math.min(header.frameCount, Math.floor(scan.voxels / voxelsPerFrame));
+  }
+
+  _indexDelta() {
+    const { header } = this;
+    const bytes = this._bytes;
+    const scan = this._scan || (this._scan = { pos: header.dataOffset });
+
+    while (this._index.length < header.frameCount && scan.pos + 5 <= this._length) {
+      const type = bytes[scan.pos];
+      const length = (bytes[scan.pos + 1] | (bytes[scan.pos + 2] << 8) |
+                      (bytes[scan.pos + 3] << 16) | (bytes[scan.pos + 4] << 24)) >>> 0;
+      if (scan.pos + 5 + length > this._length) break;
+      if (this._index.length === 0 && type !== DELTA_KEYFRAME) {
+        throw new HologlyphFormatError(FORMAT_ERROR.BAD_DATA, "Delta data must start with a keyframe");
+      }
+      this._index.push({ type, offset: scan.pos + 5, length });
+      scan.pos += 5 + length;
+    }
+
+    this.availableFrames = this._index.length;
+  }
+
+  _indexSparse() {
+    const { header } = this;
+    const bytes = this._bytes;
+    const scan = this._scan || (this._scan = { pos: header.dataOffset });
+
+    while (this._index.length < header.frameCount && scan.pos + 4 <= this._length) {
+      const length = (bytes[scan.pos] | (bytes[scan.pos + 1] << 8) |
+                      (bytes[scan.pos + 2] << 16) | (bytes[scan.pos + 3] << 24)) >>> 0;
+      if (scan.pos + 4 + length > this._length) break;
+      this._index.push({ offset: scan.pos + 4, length });
+      scan.pos += 4 + length;
+    }
+
+    this.availableFrames = this._index.length;
+  }
+
+  _decodeRLEFrame(frameIndex) {
+    const { header } = this;
+    const bytes = this._bytes;
+    const bytesPerVoxel = header.bytesPerVoxel;
+    const runSize = 1 + bytesPerVoxel;
+    const frame = new Uint8Array(header.frameSizeBytes);
+
+    let { offset: pos, skip } = this._index[frameIndex];
+    let write = 0;
+    while (write < frame.length && pos + runSize <= this._length) {
+      let count = bytes[pos] - skip;
+      skip = 0;
+      for (; count > 0 && write < frame.length; count--) {
+        for (let k = 0; k < bytesPerVoxel; k++) {
+          frame[write + k] = bytes[pos + 1 + k];
+        }
+        write += bytesPerVoxel;
+      }
+      pos += runSize;
+    }
+
+    return frame;
+  }
+
+  _decodeDeltaFrame(frameIndex) {
+    const record = this._index[frameIndex];
+    const previous = this._cache.get(frameIndex - 1);
+
+    // Sequential playback: apply this frame's diff on top of the cached previous frame
+    let start = frameIndex;
+    let frame;
+    if (record.type === DELTA_DIFF && previous) {
+      frame = previous.slice();
+    } else {
+      while (start > 0 && this._index[start].type !== DELTA_KEYFRAME) start--;
+      frame = new Uint8Array(this.header.frameSizeBytes);
+    }
+
+    for (let f = start; f <= frameIndex; f++) {
+      applyDeltaRecord(this._bytes, this._index[f], frame, this.header.bytesPerVoxel);
+    }
+    return frame;
+  }
+}
+
+// -----------------------------
+// Colour Converters
+// -----------------------------
+// HSBA (h 0-255, s/b/a 0-100) → normalized [r, g, b, a] in 0-1
+export function hsbaToRgbaUnit(h, s, b, aPercent) {
+  const hDeg = (h / 255) * 360;
+  const sNorm = s / 100;
+  const v = b / 100;
+  const a = aPercent / 100;
+
+  if (sNorm === 0) {
+    return new Float32Array([v, v, v, a]);
+  }
+
+  const c = v * sNorm;
+  const x = c * (1 - Math.abs(((hDeg / 60) % 2) - 1));
+  const m = v - c;
+
+  let r1, g1, b1;
+  if (hDeg < 60)      { r1 = c; g1 = x; b1 = 0; }
+  else if (hDeg < 120){ r1 = x; g1 = c; b1 = 0; }
+  else if (hDeg < 180){ r1 = 0; g1 = c; b1 = x; }
+  else if (hDeg < 240){ r1 = 0; g1 = x; b1 = c; }
+  else if (hDeg < 300){ r1 = x; g1 = 0; b1 = c; }
+  else                { r1 = c; g1 = 0; b1 = x; }
+
+  return new Float32Array([r1 + m, g1 + m, b1 + m, a]);
+}
+
+const EMPTY_VOXEL = new Uint8Array(4);
+
+/**
+ * Colour of a single voxel as normalized RGBA, or null if the voxel is empty
+ * @param {Uint8Array} voxels - Voxel bytes: a dense frame or an occupied-voxel list
+ * @param {number} index - Voxel index within `voxels`
+ * @param {Object} header - Parsed header (uses colorModel, bytesPerVoxel and palette)
+ * @returns {Float32Array|null}
+ */
+export function voxelToRgbaUnit(voxels, index, { colorModel, bytesPerVoxel, palette }) {
+  const base = index * bytesPerVoxel;
+  if (colorModel === COLOR_MODEL.RGBA_8888) {
+    // Stored directly; only alpha marks a voxel as empty
+    if (voxels[base + 3] === 0) return null;
+    return new Float32Array([voxels[base] / 255, voxels[base + 1] / 255, voxels[base + 2] / 255, voxels[base + 3] / 255]);
+  }
+
+  let hsba = voxels.subarray(base, base + 4);
+  if (colorModel === COLOR_MODEL.INDEXED) {
+    // Resolve the palette entry; indices past the end read as empty
+    const entry = bytesPerVoxel === 2 ? voxels[base] | (voxels[base + 1] << 8) : voxels[base];
+    hsba = entry * 4 < palette.length ? palette.subarray(entry * 4, entry * 4 + 4) : EMPTY_VOXEL;
+  }
+
+  const { h, s, b, a } = HSBAUtil.decodePixel(hsba);
+  if (a === 0 || b === 0) return null;
+  return hsbaToRgbaUnit(h, s, b, a);
+}
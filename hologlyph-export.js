@@ -0,0 +1,431 @@
+// =============================================================
+//  HOLOGLYPH-EXPORT.JS — Animated GIF, APNG and PNG sprite sheets
+//  Renders frames with hologlyph-raster.js, so it needs no DOM:
+//  works in browsers and in Node 18+ (CompressionStream).
+// =============================================================
+
+import {
+  COMPRESSION_TYPE,
+  HologlyphFrameSource,
+  crc32,
+  decompressGlyfFileAsync,
+  medianCut,
+  parseHologlyphHeader,
+} from "./hologlyph-core.js";
+import { renderFrame } from "./hologlyph-raster.js";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_COLOR_RGBA = 6;
+
+const GIF_MAX_COLORS = 255; // Palette index 255 is kept for transparency
+const GIF_TRANSPARENT_INDEX = 255;
+const GIF_MIN_CODE_SIZE = 8; // 8-bit palette indices
+const GIF_MAX_CODE = 4095; // 12-bit LZW codes
+const GIF_ALPHA_CUTOFF = 128; // GIF transparency is 1-bit
+
+// -----------------------------
+// Export Functions
+// -----------------------------
+
+/**
+ * Render every frame and encode an animated GIF. Colours share one palette
+ * of up to 255 entries (median cut when there are more); pixels under 50%
+ * alpha become transparent.
+ * @param {HologlyphFrameSource|Uint8Array|ArrayBuffer} source - Frame source or complete .glyf file
+ * @param {Object} [options] - renderFrame camera/image options (width, height,
+ *   rotationX, rotationY, zoom, background)
+ * @returns {Promise<Uint8Array>} - GIF file bytes
+ */
+export async function exportGif(source, options = {}) {
+  const frames = await openSource(source);
+  const { order, loop } = getPlaybackOrder(frames.header);
+  const images = renderFrames(frames, options);
+  const { width, height } = images[0];
+
+  const { palette, indexOf } = buildGifPalette(images);
+  const out = new ByteWriter();
+
+  // Header and logical screen with a 256-entry global colour table
+  out.ascii("GIF89a");
+  out.u16(width);
+  out.u16(height);
+  out.bytes([0xf7, 0, 0]);
+  out.bytes(palette);
+
+  if (loop) {
+    // NETSCAPE2.0 application extension: loop forever
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.ascii("NETSCAPE2.0");
+    out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+  }
+
+  const indexed = new Map();
+  for (const frame of order) {
+    if (!indexed.has(frame)) indexed.set(frame, lzwEncode(indexPixels(images[frame], indexOf)));
+
+    // Graphic control: restore to background before the next frame, transparency on
+    const delay = Math.max(2, Math.round(getFrameDuration(frames.header, frame) / 10));
+    out.bytes([0x21, 0xf9, 0x04, (2 << 2) | 0x01]);
+    out.u16(delay);
+    out.bytes([GIF_TRANSPARENT_INDEX, 0x00]);
+
+    out.bytes([0x2c]);
+    out.u16(0);
+    out.u16(0);
+    out.u16(width);
+    out.u16(height);
+    out.bytes([0x00]);
+    out.bytes(indexed.get(frame));
+  }
+
+  out.bytes([0x3b]);
+  return out.toBytes();
+}
+
+/**
+ * Render every frame and encode an animated PNG (full RGBA, any browser that
+ * shows APNG; others show the first frame)
+ * @param {HologlyphFrameSource|Uint8Array|ArrayBuffer} source - Frame source or complete .glyf file
+ * @param {Object} [options] - renderFrame camera/image options
+ * @returns {Promise<Uint8Array>} - APNG file bytes
+ */
+export async function exportApng(source, options = {}) {
+  const frames = await openSource(source);
+  const { order, loop } = getPlaybackOrder(frames.header);
+  const images = renderFrames(frames, options);
+  const { width, height } = images[0];
+
+  const chunks = [pngHeaderChunk(width, height)];
+  const actl = new ByteWriter();
+  actl.u32be(order.length);
+  actl.u32be(loop ? 0 : 1); // num_plays; 0 = forever
+  chunks.push(["acTL", actl.toBytes()]);
+
+  const compressed = new Map();
+  let sequence = 0;
+  for (let i = 0; i < order.length; i++) {
+    const frame = order[i];
+    if (!compressed.has(frame)) compressed.set(frame, await compressScanlines(images[frame]));
+
+    const fctl = new ByteWriter();
+    fctl.u32be(sequence++);
+    fctl.u32be(width);
+    fctl.u32be(height);
+    fctl.u32be(0);
+    fctl.u32be(0);
+    // Delay as a fraction of a second; fall back to 1/100 s units past the u16 range
+    const duration = getFrameDuration(frames.header, frame);
+    const [delay, unit] = duration > 0xffff ? [Math.min(0xffff, Math.round(duration / 10)), 100] : [duration, 1000];
+    fctl.u16be(delay);
+    fctl.u16be(unit);
+    fctl.bytes([0, 0]); // dispose_op NONE, blend_op SOURCE (frames are full size)
+    chunks.push(["fcTL", fctl.toBytes()]);
+
+    if (i === 0) {
+      // The first frame doubles as the static image
+      chunks.push(["IDAT", compressed.get(frame)]);
+    } else {
+      const fdat = new ByteWriter();
+      fdat.u32be(sequence++);
+      fdat.bytes(compressed.get(frame));
+      chunks.push(["fdAT", fdat.toBytes()]);
+    }
+  }
+
+  chunks.push(["IEND", new Uint8Array(0)]);
+  return writePng(chunks);
+}
+
+/**
+ * Render every frame into one PNG grid plus a JSON-ready frame map with each
+ * frame's rectangle, duration and the file's playback settings
+ * @param {HologlyphFrameSource|Uint8Array|ArrayBuffer} source - Frame source or complete .glyf file
+ * @param {Object} [options] - renderFrame camera/image options (size of one frame), plus:
+ * @param {number} [options.columns] - Frames per row (default: roughly square sheet)
+ * @param {string} [options.imageName="spritesheet.png"] - Image file name recorded in the map
+ * @returns {Promise<{image: Uint8Array, frameMap: Object}>} - PNG bytes and frame map
+ */
+export async function exportSpriteSheet(source, options = {}) {
+  const frames = await openSource(source);
+  const { header } = frames;
+  const images = renderFrames(frames, options);
+  const { width, height } = images[0];
+  const columns = options.columns ?? Math.ceil(Math.sqrt(images.length));
+  const rows = Math.ceil(images.length / columns);
+
+  const sheet = { width: width * columns, height: height * rows, data: null };
+  sheet.data = new Uint8ClampedArray(sheet.width * sheet.height * 4);
+  const frameMap = {
+    frames: [],
+    meta: {
+      image: options.imageName ?? "spritesheet.png",
+      size: { w: sheet.width, h: sheet.height },
+      frameSize: { w: width, h: height },
+      columns,
+      loop: header.loop,
+      pingPong: header.pingPong,
+      reverse: header.reverse,
+      loopStartFrame: header.loopStartFrame,
+      clips: header.clips,
+    },
+  };
+
+  images.forEach((image, frame) => {
+    const x = (frame % columns) * width;
+    const y = Math.floor(frame / columns) * height;
+    for (let row = 0; row < height; row++) {
+      const from = row * width * 4;
+      sheet.data.set(image.data.subarray(from, from + width * 4), ((y + row) * sheet.width + x) * 4);
+    }
+    frameMap.frames.push({ frame, x, y, w: width, h: height, duration: getFrameDuration(header, frame) });
+  });
+
+  return { image: await encodePng(sheet), frameMap };
+}
+
+/**
+ * Encode an RGBA image (e.g. from renderFrame) as a PNG file, for example
+ * to store as a THMB thumbnail
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Straight RGBA pixels
+ * @returns {Promise<Uint8Array>} - PNG file bytes
+ */
+export async function encodePng(image) {
+  return writePng([
+    pngHeaderChunk(image.width, image.height),
+    ["IDAT", await compressScanlines(image)],
+    ["IEND", new Uint8Array(0)],
+  ]);
+}
+
+// -----------------------------
+// Frames and Timing
+// -----------------------------
+
+// Accept a frame source or file bytes; DEFLATE files are inflated first
+async function openSource(source) {
+  if (source instanceof HologlyphFrameSource) {
+    await source.loaded;
+    return source;
+  }
+  let bytes = source instanceof Uint8Array ? source : new Uint8Array(source);
+  if (parseHologlyphHeader(bytes).compressionType === COMPRESSION_TYPE.DEFLATE) {
+    bytes = await decompressGlyfFileAsync(bytes);
+  }
+  return new HologlyphFrameSource(bytes);
+}
+
+function renderFrames(frames, options) {
+  const images = [];
+  for (let frame = 0; frame < frames.header.frameCount; frame++) {
+    images.push(renderFrame(frames, frame, options));
+  }
+  return images;
+}
+
+function getFrameDuration(header, frame) {
+  const duration = (header.frameDurations && header.frameDurations[frame]) ?? header.frameDurationMs;
+  return Math.max(1, duration);
+}
+
+// Frame sequence for one pass of the animation. GIF and APNG can only loop
+// the whole sequence, so frames before loopStartFrame repeat with the rest.
+function getPlaybackOrder(header) {
+  let order = Array.from({ length: header.frameCount }, (_, frame) => frame);
+  if (header.reverse) order.reverse();
+  if (header.loop && header.pingPong && order.length > 2) {
+    order = order.concat(order.slice(1, -1).reverse());
+  }
+  return { order, loop: header.loop };
+}
+
+// -----------------------------
+// GIF Encoding
+// -----------------------------
+
+// One palette for all frames: exact when there are few colours, median cut otherwise
+function buildGifPalette(images) {
+  const counts = new Map();
+  for (const { data } of images) {
+    for (let p = 0; p < data.length; p += 4) {
+      if (data[p + 3] < GIF_ALPHA_CUTOFF) continue;
+      const colour = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+      counts.set(colour, (counts.get(colour) || 0) + 1);
+    }
+  }
+
+  const buckets = medianCut([...counts].map(([colour, count]) => ({
+    channels: [colour >>> 16, (colour >>> 8) & 0xff, colour & 0xff],
+    colour,
+    count,
+  })), GIF_MAX_COLORS);
+
+  // Each bucket becomes its count-weighted average colour; the last slot stays transparent
+  const palette = new Uint8Array(256 * 3);
+  const indexOf = new Map();
+  buckets.forEach((bucket, b) => {
+    const total = bucket.reduce((sum, entry) => sum + entry.count, 0);
+    for (let c = 0; c < 3; c++) {
+      const sum = bucket.reduce((acc, entry) => acc + entry.channels[c] * entry.count, 0);
+      palette[b * 3 + c] = Math.round(sum / total);
+    }
+    for (const entry of bucket) indexOf.set(entry.colour, b);
+  });
+  return { palette, indexOf };
+}
+
+function indexPixels({ data }, indexOf) {
+  const indices = new Uint8Array(data.length / 4);
+  for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+    indices[i] = data[p + 3] < GIF_ALPHA_CUTOFF
+      ? GIF_TRANSPARENT_INDEX
+      : indexOf.get((data[p] << 16) | (data[p + 1] << 8) | data[p + 2]);
+  }
+  return indices;
+}
+
+/**
+ * GIF-flavoured LZW: variable code width (LSB first), a clear code whenever
+ * the 12-bit table fills, packed into sub-blocks of at most 255 bytes
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @returns {Uint8Array} - Minimum code size, then the data sub-blocks and terminator
+ */
+function lzwEncode(indices) {
+  const minCodeSize = GIF_MIN_CODE_SIZE;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const emit = (code, width) => {
+    bitBuffer |= code << bitCount;
+    bitCount += width;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  let table = new Map();
+  let nextCode = endCode + 1;
+  let codeWidth = minCodeSize + 1;
+  emit(clearCode, codeWidth);
+
+  let prefix = indices.length ? indices[0] : 0;
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix, codeWidth);
+    if (nextCode > GIF_MAX_CODE) {
+      emit(clearCode, codeWidth);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeWidth = minCodeSize + 1;
+    } else {
+      table.set(key, nextCode++);
+      if (nextCode > 1 << codeWidth && codeWidth < 12) codeWidth++;
+    }
+    prefix = indices[i];
+  }
+  emit(prefix, codeWidth);
+  emit(endCode, codeWidth);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  const out = new ByteWriter();
+  out.bytes([minCodeSize]);
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    out.bytes([block.length]);
+    out.bytes(block);
+  }
+  out.bytes([0]);
+  return out.toBytes();
+}
+
+// -----------------------------
+// PNG Encoding
+// -----------------------------
+
+function pngHeaderChunk(width, height) {
+  const ihdr = new ByteWriter();
+  ihdr.u32be(width);
+  ihdr.u32be(height);
+  ihdr.bytes([8, PNG_COLOR_RGBA, 0, 0, 0]); // 8-bit, deflate, adaptive filtering, no interlace
+  return ["IHDR", ihdr.toBytes()];
+}
+
+// zlib-compressed scanlines, each with the "Sub" filter (byte minus the one to its left)
+async function compressScanlines({ width, height, data }) {
+  const stride = width * 4;
+  const filtered = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1);
+    filtered[row] = 1;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= 4 ? data[y * stride + x - 4] : 0;
+      filtered[row + 1 + x] = data[y * stride + x] - left;
+    }
+  }
+  const stream = new Blob([filtered]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function writePng(chunks) {
+  const out = new ByteWriter();
+  out.bytes(PNG_SIGNATURE);
+  for (const [type, payload] of chunks) {
+    const typed = new Uint8Array(4 + payload.length);
+    for (let i = 0; i < 4; i++) typed[i] = type.charCodeAt(i);
+    typed.set(payload, 4);
+    out.u32be(payload.length);
+    out.bytes(typed);
+    out.u32be(crc32(typed));
+  }
+  return out.toBytes();
+}
+
+// Growable byte buffer (GIF fields are little-endian, PNG fields big-endian)
+class ByteWriter {
+  constructor() {
+    this._parts = [];
+    this._length = 0;
+  }
+
+  bytes(values) {
+    const part = values instanceof Uint8Array ? values : Uint8Array.from(values);
+    this._parts.push(part);
+    this._length += part.length;
+  }
+
+  ascii(text) {
+    this.bytes(Array.from(text, (char) => char.charCodeAt(0)));
+  }
+
+  u16(value) {
+    this.bytes([value & 0xff, (value >>> 8) & 0xff]);
+  }
+
+  u16be(value) {
+    this.bytes([(value >>> 8) & 0xff, value & 0xff]);
+  }
+
+  u32be(value) {
+    this.bytes([(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+  }
+
+  toBytes() {
+    const out = new Uint8Array(this._length);
+    let offset = 0;
+    for (const part of this._parts) {
+      out.set(part, offset);
+      offset += part.length;
+    }
+    return out;
+  }
+}
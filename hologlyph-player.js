@@ -0,0 +1,1933 @@
+// =============================================================
+//  HOLOGLYPH-PLAYER.JS — Canvas / WebGL player for .glyf files
+//  Needs a browser (canvas, requestAnimationFrame).
+// =============================================================
+
+import {
+  COLOR_MODEL,
+  COMPRESSION_TYPE,
+  HSBAUtil,
+  HologlyphFrameSource,
+  lruGet,
+  lruSet,
+  voxelToRgbaUnit,
+} from "./hologlyph-core.js";
+
+// Playback rate limits (multiplier on frameDurationMs timing)
+const MIN_PLAYBACK_RATE = 0.25;
+const MAX_PLAYBACK_RATE = 4;
+
+// Grid rendering constants
+const GRID_COLOR_R = 0.4; // Red component (0-1)
+const GRID_COLOR_G = 0.4; // Green component (0-1)
+const GRID_COLOR_B = 0.5; // Blue component (0-1)
+const GRID_COLOR_A = 0.3; // Alpha component (0-1)
+
+// Instanced rendering layout: per-voxel offset (xyz) + colour (rgba)
+const INSTANCE_FLOATS = 7;
+const INSTANCE_STRIDE_BYTES = INSTANCE_FLOATS * 4;
+
+// Greedy mesh layout: position (xyz) + normal (xyz) + colour (rgba) per vertex
+const MESH_VERTEX_FLOATS = 10;
+const MESH_STRIDE_BYTES = MESH_VERTEX_FLOATS * 4;
+
+// -----------------------------
+// Colour Converters
+// -----------------------------
+// Normalized RGBA → CSS colour string
+function rgbaToCss(rgba) {
+  const r = Math.round(rgba[0] * 255);
+  const g = Math.round(rgba[1] * 255);
+  const b = Math.round(rgba[2] * 255);
+  return `rgba(${r},${g},${b},${rgba[3]})`;
+}
+
+// -----------------------------
+// Editable Frames
+// -----------------------------
+// Editable view of a frame source, used once the player's editing API is called.
+// Frames can be rewritten, inserted and removed independently; reads go
+// through the normal HologlyphFrameSource interface. A frame is copied out of
+// the original source on its first write, so untouched frames cost nothing.
+class EditableFrameSource extends HologlyphFrameSource {
+  constructor(source) {
+    super(null, { cacheSize: source.cacheSize });
+    const { header } = source;
+    this.header = {
+      ...header,
+      compressionType: COMPRESSION_TYPE.NONE,
+      checksum: null,
+      frameDurations: header.frameDurations ? [...header.frameDurations] : null,
+      clips: header.clips.map((clip) => ({ ...clip })),
+    };
+    this._source = source;
+    // Per frame: its own dense copy once written, else the source frame to read
+    this._frameData = Array.from({ length: header.frameCount }, (_, f) => f);
+    this.availableFrames = header.frameCount;
+    this.complete = true;
+  }
+
+  getFrame(frameIndex) {
+    if (!this.hasFrame(frameIndex)) {
+      throw new Error(`Frame ${frameIndex} is not available`);
+    }
+    const frame = this._frameData[frameIndex];
+    return typeof frame === "number" ? this._source.getFrame(frame) : frame;
+  }
+
+  // Unwritten frames reuse the source's occupied list (read directly from SPARSE files)
+  getOccupied(frameIndex) {
+    const frame = this._frameData[frameIndex];
+    if (this.hasFrame(frameIndex) && typeof frame === "number") return this._source.getOccupied(frame);
+    return super.getOccupied(frameIndex);
+  }
+
+  // The frame's own copy, made on its first write
+  getWritableFrame(frameIndex) {
+    let frame = this.getFrame(frameIndex);
+    if (typeof this._frameData[frameIndex] === "number") {
+      frame = frame.slice();
+      this._frameData[frameIndex] = frame;
+    }
+    return frame;
+  }
+
+  setFrame(frameIndex, frame) {
+    if (!this.hasFrame(frameIndex)) {
+      throw new Error(`Frame ${frameIndex} is not available`);
+    }
+    this._frameData[frameIndex] = frame;
+  }
+
+  // Forget the cached occupied list of an edited frame
+  invalidate(frameIndex) {
+    this._occupiedCache.delete(frameIndex);
+  }
+
+  insertFrame(index, frame, durationMs) {
+    const { header } = this;
+    this._frameData.splice(index, 0, frame);
+    this._shiftOccupied(index, 1);
+
+    const duration = durationMs ?? header.frameDurationMs;
+    if (header.frameDurations) {
+      header.frameDurations.splice(index, 0, duration);
+    } else if (duration !== header.frameDurationMs) {
+      header.frameDurations = this._frameData.map((_, f) => (f === index ? duration : header.frameDurationMs));
+    }
+
+    for (const clip of header.clips) {
+      if (clip.start >= index) clip.start++;
+      if (clip.end >= index) clip.end++;
+    }
+    if (header.loopStartFrame > index) header.loopStartFrame++;
+    this._resize();
+  }
+
+  removeFrame(index) {
+    const { header } = this;
+    this._frameData.splice(index, 1);
+    this._occupiedCache.delete(index);
+    this._shiftOccupied(index + 1, -1);
+
+    if (header.frameDurations) header.frameDurations.splice(index, 1);
+    header.clips = header.clips.filter((clip) => {
+      if (clip.start > index) clip.start--;
+      if (clip.end >= index) clip.end--;
+      return clip.end >= clip.start;
+    });
+    if (header.loopStartFrame > index) header.loopStartFrame--;
+    this._resize();
+  }
+
+  _shiftOccupied(start, delta) {
+    const entries = [...this._occupiedCache].map(([f, occupied]) => [f >= start ? f + delta : f, occupied]);
+    this._occupiedCache = new Map(entries);
+  }
+
+  _resize() {
+    const frameCount = this._frameData.length;
+    this.header.frameCount = frameCount;
+    this.header.dataLength = frameCount * this.header.frameSizeBytes;
+    this.header.loopStartFrame = Math.min(this.header.loopStartFrame, frameCount - 1);
+    this.availableFrames = frameCount;
+  }
+}
+
+// -----------------------------
+// Hologlyph Player (Canvas Renderer)
+// -----------------------------
+/**
+ * HologlyphPlayer - Render and play .glyf voxel animations
+ * 
+ * @param {Object} options - Configuration options
+ * @param {HTMLCanvasElement} options.canvas - Canvas element to render to
+ * @param {Uint8Array|HologlyphFrameSource} options.data - Hologlyph data buffer (compressed or raw) or frame source
+ * @param {Function} [options.dataGenerator=null] - Optional function to generate data dynamically
+ * @param {boolean} [options.autoPlay=true] - Start playing immediately
+ * @param {number} [options.voxelSize=8] - Size of each voxel in pixels
+ * @param {boolean} [options.orbitalDrag=false] - Enable mouse drag to rotate camera
+ * @param {boolean} [options.useWebGL=false] - Use WebGL renderer (falls back to 2D)
+ * @param {boolean} [options.showGrid=false] - Show per-voxel wireframe grid (deprecated)
+ * @param {boolean} [options.showBoundingBox=false] - Show dynamic bounding box grid
+ * @param {boolean} [options.greedyMeshing=false] - Draw merged surface meshes with hidden faces culled (WebGL only)
+ * @param {number} [options.frameCacheSize=8] - Decoded frames kept in memory for compressed data
+ * @param {number} [options.initialRotationX=0.3] - Initial camera rotation X (radians)
+ * @param {number} [options.initialRotationY=0.6] - Initial camera rotation Y (radians)
+ *
+ * Events (listen with addEventListener; payload in `event.detail`):
+ * - `frame` { frame } - Current frame changed
+ * - `play` / `pause` - Playback started / stopped
+ * - `ended` { frame } - A non-looping animation reached its last frame
+ * - `loop` { frame } - Playback wrapped back to the loop start frame
+ * - `camerachange` { rotationX, rotationY } - Camera rotated by dragging
+ * - `zoomchange` { zoom } - Camera zoomed by wheel or pinch
+ */
+export class HologlyphPlayer extends EventTarget {
+  constructor({ canvas, data, dataGenerator = null, autoPlay = true, voxelSize = 8, orbitalDrag = false, useWebGL = false, showGrid = false, showBoundingBox = false, greedyMeshing = false, frameCacheSize = 8, initialRotationX = 0.3, initialRotationY = 0.6 }) {
+    super();
+    if (!canvas) throw new Error("HologlyphPlayer needs a canvas");
+    this.canvas = canvas;
+    this.useWebGL = useWebGL;
+    this.showGrid = showGrid;
+    this.showBoundingBox = showBoundingBox;
+    this.greedyMeshing = greedyMeshing;
+    
+    // Frames are located through an offset index and decoded lazily, so
+    // compressed data is never expanded in full
+    this._frameCacheSize = frameCacheSize;
+    this._setFrames(data instanceof HologlyphFrameSource
+      ? data
+      : new HologlyphFrameSource(data, { cacheSize: frameCacheSize }));
+    
+    // Initialize rendering AFTER dimensions are set
+    if (useWebGL) {
+      this.gl = canvas.getContext("webgl2") || canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+      if (!this.gl) throw new Error("WebGL not supported");
+      this._initWebGL();
+    } else {
+      this.ctx = canvas.getContext("2d");
+    }
+
+    this.direction = this.header.reverse ? -1 : 1;
+    this.playbackRate = 1;
+    this.range = null; // [start, end] sub-range to play, or null for the whole animation
+    this.voxelSize = voxelSize;
+
+    this._currentFrame = 0;
+    this._playing = false;
+    this._lastTs = 0;
+    this._accum = 0;
+
+    // Orbital drag support and camera rotation
+    this.dataGenerator = dataGenerator;
+    this.viewRotationX = initialRotationX;
+    this.viewRotationY = initialRotationY;
+    this.zoomLevel = 1.0;
+    
+    if (orbitalDrag) {
+      this._setupOrbitalDrag();
+    }
+    
+    if (useWebGL) {
+      this._setupZoomControls();
+    }
+
+    if (autoPlay) this.play();
+  }
+
+  /**
+   * Create a player from a stream, starting playback as soon as the first frame arrives
+   * @param {Response|ReadableStream|Blob|Promise} input - e.g. `fetch("anim.glyf")`
+   * @param {Object} options - Same as the constructor, without `data`
+   * @returns {Promise<HologlyphPlayer>}
+   */
+  static async fromStream(input, options = {}) {
+    const frames = await HologlyphFrameSource.fromStream(input, { cacheSize: options.frameCacheSize });
+    return new HologlyphPlayer({ ...options, data: frames });
+  }
+
+  get currentFrame() {
+    return this._currentFrame;
+  }
+
+  set currentFrame(frame) {
+    if (frame === this._currentFrame) return;
+    this._currentFrame = frame;
+    this._emit("frame", { frame });
+  }
+
+  // Switch to a frame source and take the grid, timing and colour settings from its header
+  _setFrames(frames) {
+    this._frames = frames;
+    this.header = frames.header;
+
+    // A stream that turns out truncated or corrupt after playback started.
+    // Deferred a task so listeners added right after construction still hear it.
+    frames.loaded.catch((error) => setTimeout(() => this._emit("error", { error })));
+
+    this.width = this.header.width;
+    this.height = this.header.height;
+    this.depth = this.header.depth;
+    this.frameSizeBytes = this.header.frameSizeBytes;
+    this.dataOffset = this.header.dataOffset;
+
+    this.frameDurationMs = this.header.frameDurationMs;
+    this.loop = this.header.loop;
+    this.pingPong = this.header.pingPong;
+    this._syncFrameTable();
+
+    this.bytesPerVoxel = this.header.bytesPerVoxel;
+    this.colorModel = this.header.colorModel;
+    this.palette = this.header.colorModel === COLOR_MODEL.INDEXED ? this.header.palette : null;
+  }
+
+  // Per-frame header fields, which change when frames are inserted or removed
+  _syncFrameTable() {
+    this.frameCount = this.header.frameCount;
+    this.frameDurations = this.header.frameDurations;
+    this.clips = this.header.clips;
+    this.loopStartFrame = this.header.loopStartFrame;
+  }
+
+  _emit(type, detail = null) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  _setupZoomControls() {
+    const canvas = this.canvas;
+    const MIN_ZOOM = 0.3;
+    const MAX_ZOOM = 3.0;
+    const ZOOM_SENSITIVITY = 0.1;
+    
+    // Mouse wheel zoom
+    const onWheel = (e) => {
+      e.preventDefault();
+      
+      const delta = e.deltaY > 0 ? 1 : -1;
+      this.zoomLevel = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.zoomLevel + delta * ZOOM_SENSITIVITY));
+      
+      this._emit("zoomchange", { zoom: this.zoomLevel });
+      this.render();
+    };
+    
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    
+    // Touch pinch zoom
+    let touchStartDistance = 0;
+    let touchStartZoom = 1.0;
+    
+    const getTouchDistance = (touches) => {
+      const dx = touches[0].clientX - touches[1].clientX;
+      const dy = touches[0].clientY - touches[1].clientY;
+      return Math.sqrt(dx * dx + dy * dy);
+    };
+    
+    const onTouchStart = (e) => {
+      if (e.touches.length === 2) {
+        e.preventDefault();
+        touchStartDistance = getTouchDistance(e.touches);
+        touchStartZoom = this.zoomLevel;
+      }
+    };
+    
+    const onTouchMove = (e) => {
+      if (e.touches.length === 2) {
+        e.preventDefault();
+        const currentDistance = getTouchDistance(e.touches);
+        const scale = currentDistance / touchStartDistance;
+        this.zoomLevel = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, touchStartZoom * scale));
+        
+        this._emit("zoomchange", { zoom: this.zoomLevel });
+        this.render();
+      }
+    };
+    
+    canvas.addEventListener('touchstart', onTouchStart, { passive: false });
+    canvas.addEventListener('touchmove', onTouchMove, { passive: false });
+    
+    // Store handlers for cleanup
+    this._zoomHandlers = { onWheel, onTouchStart, onTouchMove };
+  }
+
+  _setupOrbitalDrag() {
+    const canvas = this.canvas;
+    let isDragging = false;
+    let lastMouseX = 0;
+    let lastMouseY = 0;
+    const DRAG_SENSITIVITY = 0.005;
+    const MAX_ROTATION_X = Math.PI / 2;
+    
+    const onMouseDown = (e) => {
+      isDragging = true;
+      lastMouseX = e.clientX;
+      lastMouseY = e.clientY;
+      canvas.style.cursor = 'grabbing';
+    };
+    
+    const onMouseMove = (e) => {
+      if (!isDragging) return;
+      
+      const deltaX = e.clientX - lastMouseX;
+      const deltaY = e.clientY - lastMouseY;
+      
+      this.viewRotationY -= deltaX * DRAG_SENSITIVITY;
+      this.viewRotationX += deltaY * DRAG_SENSITIVITY;
+      
+      // Clamp X rotation to prevent flipping
+      this.viewRotationX = Math.max(-MAX_ROTATION_X, Math.min(MAX_ROTATION_X, this.viewRotationX));
+      
+      lastMouseX = e.clientX;
+      lastMouseY = e.clientY;
+      
+      this._emit("camerachange", { rotationX: this.viewRotationX, rotationY: this.viewRotationY });
+      
+      // Update view
+      if (this.useWebGL) {
+        // For WebGL, just re-render with new camera rotation
+        this.render();
+      } else {
+        // For 2D canvas, regenerate data with new view rotation
+        this._reloadData();
+      }
+    };
+    
+    const onMouseUp = () => {
+      isDragging = false;
+      canvas.style.cursor = 'grab';
+    };
+    
+    const onMouseLeave = () => {
+      isDragging = false;
+      canvas.style.cursor = 'grab';
+    };
+    
+    canvas.addEventListener('mousedown', onMouseDown);
+    canvas.addEventListener('mousemove', onMouseMove);
+    canvas.addEventListener('mouseup', onMouseUp);
+    canvas.addEventListener('mouseleave', onMouseLeave);
+    
+    canvas.style.cursor = 'grab';
+    
+    // Store handlers for cleanup
+    this._dragHandlers = { onMouseDown, onMouseMove, onMouseUp, onMouseLeave };
+  }
+
+  _reloadData() {
+    if (!this.dataGenerator) return;
+    
+    // Generate new data with current view rotation
+    this.replaceData(this.dataGenerator(this.viewRotationX, this.viewRotationY));
+    
+    if (!this._playing) {
+      this.render();
+    }
+  }
+
+  _initWebGL() {
+    const gl = this.gl;
+    
+    // Vertex shader
+    const vertexShaderSource = `
+      attribute vec3 aPosition;
+      attribute vec3 aNormal;
+      attribute vec4 aColor;
+      attribute vec3 aOffset;
+      
+      uniform mat4 uModelMatrix;
+      uniform mat4 uViewMatrix;
+      uniform mat4 uProjectionMatrix;
+      
+      varying vec4 vColor;
+      varying vec3 vNormal;
+      varying vec3 vPosition;
+      
+      void main() {
+        vec4 worldPosition = uModelMatrix * vec4(aPosition + aOffset, 1.0);
+        vPosition = worldPosition.xyz;
+        vNormal = mat3(uModelMatrix) * aNormal;
+        vColor = aColor;
+        gl_Position = uProjectionMatrix * uViewMatrix * worldPosition;
+      }
+    `;
+    
+    // Fragment shader
+    const fragmentShaderSource = `
+      precision mediump float;
+      
+      varying vec4 vColor;
+      varying vec3 vNormal;
+      varying vec3 vPosition;
+      
+      uniform vec3 uLightDirection;
+      
+      void main() {
+        vec3 normal = normalize(vNormal);
+        vec3 lightDir = normalize(uLightDirection);
+        
+        float ambient = 0.4;
+        float diffuse = max(dot(normal, lightDir), 0.0) * 0.6;
+        float lighting = ambient + diffuse;
+        
+        gl_FragColor = vec4(vColor.rgb * lighting, vColor.a);
+      }
+    `;
+    
+    // Compile shaders
+    const vertexShader = this._createShader(gl, gl.VERTEX_SHADER, vertexShaderSource);
+    const fragmentShader = this._createShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSource);
+    
+    // Create program
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+    
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error("Program link failed: " + gl.getProgramInfoLog(program));
+    }
+    
+    this.program = program;
+    
+    // Get attribute and uniform locations
+    this.attribLocations = {
+      position: gl.getAttribLocation(program, "aPosition"),
+      normal: gl.getAttribLocation(program, "aNormal"),
+      color: gl.getAttribLocation(program, "aColor"),
+      offset: gl.getAttribLocation(program, "aOffset"),
+    };
+    
+    this.uniformLocations = {
+      modelMatrix: gl.getUniformLocation(program, "uModelMatrix"),
+      viewMatrix: gl.getUniformLocation(program, "uViewMatrix"),
+      projectionMatrix: gl.getUniformLocation(program, "uProjectionMatrix"),
+      lightDirection: gl.getUniformLocation(program, "uLightDirection"),
+    };
+    
+    // Create cube geometry
+    this._createCubeGeometry();
+    
+    // Instancing support + per-frame instance/mesh buffer caches (LRUs of frameCacheSize frames)
+    this._setupInstancing();
+    this._instanceCache = new Map();
+    this._meshCache = new Map();
+    
+    // Create grid geometry if needed
+    if (this.showGrid || this.showBoundingBox) {
+      this._createGridGeometry();
+    }
+    
+    // Enable depth testing
+    gl.enable(gl.DEPTH_TEST);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  }
+
+  _setupInstancing() {
+    const gl = this.gl;
+    
+    // WebGL2 has instancing built in
+    if (typeof gl.drawElementsInstanced === "function") {
+      this._instancing = {
+        vertexAttribDivisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+        drawElementsInstanced: (mode, count, type, offset, instanceCount) =>
+          gl.drawElementsInstanced(mode, count, type, offset, instanceCount),
+      };
+      return;
+    }
+    
+    // WebGL1 needs the ANGLE extension (near-universal, but fall back to per-voxel draws without it)
+    const ext = gl.getExtension("ANGLE_instanced_arrays");
+    this._instancing = ext ? {
+      vertexAttribDivisor: (location, divisor) => ext.vertexAttribDivisorANGLE(location, divisor),
+      drawElementsInstanced: (mode, count, type, offset, instanceCount) =>
+        ext.drawElementsInstancedANGLE(mode, count, type, offset, instanceCount),
+    } : null;
+  }
+
+  _createShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      const info = gl.getShaderInfoLog(shader);
+      gl.deleteShader(shader);
+      throw new Error("Shader compile failed: " + info);
+    }
+    
+    return shader;
+  }
+
+  _createCubeGeometry() {
+    const gl = this.gl;
+    
+    // Cube vertices (24 vertices, 4 per face for proper normals)
+    // Counter-clockwise winding for outward-facing normals
+    const positions = new Float32Array([
+      // Front face (z+)
+      -0.5, -0.5,  0.5,  0.5, -0.5,  0.5,  0.5,  0.5,  0.5, -0.5,  0.5,  0.5,
+      // Back face (z-)
+       0.5, -0.5, -0.5, -0.5, -0.5, -0.5, -0.5,  0.5, -0.5,  0.5,  0.5, -0.5,
+      // Top face (y+)
+      -0.5,  0.5,  0.5,  0.5,  0.5,  0.5,  0.5,  0.5, -0.5, -0.5,  0.5, -0.5,
+      // Bottom face (y-)
+      -0.5, -0.5, -0.5,  0.5, -0.5, -0.5,  0.5, -0.5,  0.5, -0.5, -0.5,  0.5,
+      // Right face (x+)
+       0.5, -0.5,  0.5,  0.5, -0.5, -0.5,  0.5,  0.5, -0.5,  0.5,  0.5,  0.5,
+      // Left face (x-)
+      -0.5, -0.5, -0.5, -0.5, -0.5,  0.5, -0.5,  0.5,  0.5, -0.5,  0.5, -0.5,
+    ]);
+    
+    // Normals for each face
+    const normals = new Float32Array([
+      // Front
+      0, 0, 1,  0, 0, 1,  0, 0, 1,  0, 0, 1,
+      // Back
+      0, 0, -1, 0, 0, -1, 0, 0, -1, 0, 0, -1,
+      // Top
+      0, 1, 0,  0, 1, 0,  0, 1, 0,  0, 1, 0,
+      // Bottom
+      0, -1, 0, 0, -1, 0, 0, -1, 0, 0, -1, 0,
+      // Right
+      1, 0, 0,  1, 0, 0,  1, 0, 0,  1, 0, 0,
+      // Left
+      -1, 0, 0, -1, 0, 0, -1, 0, 0, -1, 0, 0,
+    ]);
+    
+    // Indices for triangles (2 per face, 6 faces)
+    const indices = new Uint16Array([
+      0, 1, 2,  0, 2, 3,    // Front
+      4, 5, 6,  4, 6, 7,    // Back
+      8, 9, 10, 8, 10, 11,  // Top
+      12, 13, 14, 12, 14, 15, // Bottom
+      16, 17, 18, 16, 18, 19, // Right
+      20, 21, 22, 20, 22, 23, // Left
+    ]);
+    
+    // Create buffers
+    this.cubeBuffers = {
+      position: gl.createBuffer(),
+      normal: gl.createBuffer(),
+      indices: gl.createBuffer(),
+    };
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cubeBuffers.position);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cubeBuffers.normal);
+    gl.bufferData(gl.ARRAY_BUFFER, normals, gl.STATIC_DRAW);
+    
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.cubeBuffers.indices);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+    
+    this.cubeIndexCount = indices.length;
+  }
+
+  _createGridGeometry() {
+    const gl = this.gl;
+    
+    // Create a wireframe cube outline (12 edges)
+    const lines = new Float32Array([
+      // Bottom face edges
+      -0.5, -0.5, -0.5,  0.5, -0.5, -0.5,
+       0.5, -0.5, -0.5,  0.5, -0.5,  0.5,
+       0.5, -0.5,  0.5, -0.5, -0.5,  0.5,
+      -0.5, -0.5,  0.5, -0.5, -0.5, -0.5,
+      // Top face edges
+      -0.5,  0.5, -0.5,  0.5,  0.5, -0.5,
+       0.5,  0.5, -0.5,  0.5,  0.5,  0.5,
+       0.5,  0.5,  0.5, -0.5,  0.5,  0.5,
+      -0.5,  0.5,  0.5, -0.5,  0.5, -0.5,
+      // Vertical edges
+      -0.5, -0.5, -0.5, -0.5,  0.5, -0.5,
+       0.5, -0.5, -0.5,  0.5,  0.5, -0.5,
+       0.5, -0.5,  0.5,  0.5,  0.5,  0.5,
+      -0.5, -0.5,  0.5, -0.5,  0.5,  0.5,
+    ]);
+    
+    this.gridBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.gridBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, lines, gl.STATIC_DRAW);
+    
+    this.gridLineCount = lines.length / 3;
+    
+    // Create bounding box face grids for back-face rendering
+    this._createBoundingBoxGeometry();
+  }
+  
+  _createBoundingBoxGeometry() {
+    const gl = this.gl;
+    const { width, height, depth } = this;
+    
+    const GRID_DIVISIONS_X = width;
+    const GRID_DIVISIONS_Y = height;
+    const GRID_DIVISIONS_Z = depth;
+    
+    // Store geometry for each face of the bounding box
+    this.boundingBoxFaces = {
+      // Front face (Z = depth/2)
+      front: this._createFaceGrid(GRID_DIVISIONS_X, GRID_DIVISIONS_Y, 'xy', depth / 2),
+      // Back face (Z = -depth/2)
+      back: this._createFaceGrid(GRID_DIVISIONS_X, GRID_DIVISIONS_Y, 'xy', -depth / 2),
+      // Right face (X = width/2)
+      right: this._createFaceGrid(GRID_DIVISIONS_Z, GRID_DIVISIONS_Y, 'zy', width / 2),
+      // Left face (X = -width/2)
+      left: this._createFaceGrid(GRID_DIVISIONS_Z, GRID_DIVISIONS_Y, 'zy', -width / 2),
+      // Top face (Y = height/2)
+      top: this._createFaceGrid(GRID_DIVISIONS_X, GRID_DIVISIONS_Z, 'xz', height / 2),
+      // Bottom face (Y = -height/2)
+      bottom: this._createFaceGrid(GRID_DIVISIONS_X, GRID_DIVISIONS_Z, 'xz', -height / 2),
+    };
+  }
+  
+  _releaseBoundingBoxGeometry() {
+    if (!this.boundingBoxFaces) return;
+    for (const face of Object.values(this.boundingBoxFaces)) {
+      this.gl.deleteBuffer(face.buffer);
+    }
+    this.boundingBoxFaces = null;
+  }
+  
+  _createFaceGrid(divisionsU, divisionsV, plane, offset) {
+    const gl = this.gl;
+    const lines = [];
+    
+    const { width, height, depth } = this;
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
+    const halfDepth = depth / 2;
+    
+    // Generate grid lines based on plane orientation
+    if (plane === 'xy') {
+      // Front/Back face (perpendicular to Z)
+      // Horizontal lines (parallel to X)
+      for (let i = 0; i <= divisionsV; i++) {
+        const y = -halfHeight + (i * height / divisionsV);
+        lines.push(-halfWidth, y, offset, halfWidth, y, offset);
+      }
+      // Vertical lines (parallel to Y)
+      for (let i = 0; i <= divisionsU; i++) {
+        const x = -halfWidth + (i * width / divisionsU);
+        lines.push(x, -halfHeight, offset, x, halfHeight, offset);
+      }
+    } else if (plane === 'zy') {
+      // Left/Right face (perpendicular to X)
+      // Horizontal lines (parallel to Z)
+      for (let i = 0; i <= divisionsV; i++) {
+        const y = -halfHeight + (i * height / divisionsV);
+        lines.push(offset, y, -halfDepth, offset, y, halfDepth);
+      }
+      // Vertical lines (parallel to Y)
+      for (let i = 0; i <= divisionsU; i++) {
+        const z = -halfDepth + (i * depth / divisionsU);
+        lines.push(offset, -halfHeight, z, offset, halfHeight, z);
+      }
+    } else if (plane === 'xz') {
+      // Top/Bottom face (perpendicular to Y)
+      // Horizontal lines (parallel to X)
+      for (let i = 0; i <= divisionsV; i++) {
+        const z = -halfDepth + (i * depth / divisionsV);
+        lines.push(-halfWidth, offset, z, halfWidth, offset, z);
+      }
+      // Vertical lines (parallel to Z)
+      for (let i = 0; i <= divisionsU; i++) {
+        const x = -halfWidth + (i * width / divisionsU);
+        lines.push(x, offset, -halfDepth, x, offset, halfDepth);
+      }
+    }
+    
+    const vertexData = new Float32Array(lines);
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, vertexData, gl.STATIC_DRAW);
+    
+    return {
+      buffer: buffer,
+      vertexCount: vertexData.length / 3
+    };
+  }
+
+  destroy() {
+    this.pause();
+    
+    // Release cached per-frame GPU buffers
+    if (this.gl) {
+      this._clearRenderCache();
+    }
+    
+    // Clean up drag handlers if they exist
+    if (this._dragHandlers) {
+      const canvas = this.canvas;
+      canvas.removeEventListener('mousedown', this._dragHandlers.onMouseDown);
+      canvas.removeEventListener('mousemove', this._dragHandlers.onMouseMove);
+      canvas.removeEventListener('mouseup', this._dragHandlers.onMouseUp);
+      canvas.removeEventListener('mouseleave', this._dragHandlers.onMouseLeave);
+      canvas.style.cursor = '';
+    }
+    
+    // Clean up zoom handlers if they exist
+    if (this._zoomHandlers) {
+      const canvas = this.canvas;
+      canvas.removeEventListener('wheel', this._zoomHandlers.onWheel);
+      canvas.removeEventListener('touchstart', this._zoomHandlers.onTouchStart);
+      canvas.removeEventListener('touchmove', this._zoomHandlers.onTouchMove);
+    }
+  }
+
+  play() {
+    if (this._playing) return;
+    this._playing = true;
+    this._loop = this._loop.bind(this);
+    requestAnimationFrame(this._loop);
+    this._emit("play");
+  }
+
+  pause() {
+    if (!this._playing) return;
+    this._playing = false;
+    this._emit("pause");
+  }
+
+  stop() {
+    this.pause();
+    this.currentFrame = 0;
+    this.render();
+  }
+
+  _loop(ts) {
+    if (!this._playing) return;
+
+    const delta = ts - (this._lastTs || ts);
+    this._lastTs = ts;
+    this._accum += delta * this.playbackRate;
+
+    let duration;
+    while (this._playing && this._accum >= (duration = this._getFrameDuration(this.currentFrame))) {
+      this._accum -= duration;
+      this._advanceFrame();
+    }
+
+    this.render();
+    requestAnimationFrame(this._loop);
+  }
+
+  /**
+   * Set playback speed
+   * @param {number} rate - Multiplier, clamped to 0.25–4
+   */
+  setPlaybackRate(rate) {
+    this.playbackRate = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rate));
+  }
+
+  /**
+   * Play backwards (true) or forwards (false)
+   * @param {boolean} reverse
+   */
+  setReverse(reverse) {
+    this.direction = reverse ? -1 : 1;
+  }
+
+  /**
+   * Bounce between the loop bounds instead of wrapping around
+   * @param {boolean} pingPong
+   */
+  setPingPong(pingPong) {
+    this.pingPong = pingPong;
+  }
+
+  /**
+   * Restrict playback to frames [start, end] (inclusive), e.g. an idle loop
+   * inside a longer clip. Pass null to play the whole animation again.
+   * @param {number|null} start - First frame of the range
+   * @param {number} [end=frameCount - 1] - Last frame of the range
+   */
+  setRange(start, end = this.frameCount - 1) {
+    if (start === null) {
+      this.range = null;
+      return;
+    }
+    start = Math.max(0, Math.min(this.frameCount - 1, start));
+    end = Math.max(start, Math.min(this.frameCount - 1, end));
+    this.range = [start, end];
+
+    if (this.currentFrame < start || this.currentFrame > end) {
+      this.currentFrame = this.direction > 0 ? start : end;
+      if (!this._playing) this.render();
+    }
+  }
+
+  /**
+   * Play a named clip from the file's clip table, looping within its frames
+   * @param {string} name - Clip name (see `clips`)
+   */
+  playClip(name) {
+    const clip = this.clips.find((c) => c.name === name);
+    if (!clip) throw new Error(`Unknown clip: ${name}`);
+
+    this.setRange(clip.start, clip.end);
+    this.currentFrame = this.direction > 0 ? clip.start : clip.end;
+    this._accum = 0;
+    this.play();
+  }
+
+  _getFrameDuration(frameIndex) {
+    const duration = (this.frameDurations && this.frameDurations[frameIndex]) ?? this.frameDurationMs;
+    return Math.max(1, duration);
+  }
+
+  // Frames playback wraps between; without a range, frames before
+  // loopStartFrame play once as an intro
+  _getLoopBounds() {
+    if (this.range) return this.range;
+    const end = this.frameCount - 1;
+    const loopStart = Math.min(this.loopStartFrame, end);
+    // Reversing through the intro runs down to frame 0
+    const start = this.direction < 0 && this.currentFrame < loopStart ? 0 : loopStart;
+    return [start, end];
+  }
+
+  _advanceFrame() {
+    const [start, end] = this._getLoopBounds();
+    const next = this.currentFrame + this.direction;
+
+    if (next >= start && next <= end || (this.direction > 0 && next < start)) {
+      // Still streaming in: hold the current frame until the next one arrives
+      if (!this._frames.hasFrame(next)) return;
+      this.currentFrame = next;
+      return;
+    }
+
+    if (!this.loop) {
+      this.pause();
+      this._emit("ended", { frame: this.currentFrame });
+      return;
+    }
+
+    const direction = this.pingPong ? -this.direction : this.direction;
+    const target = this.pingPong
+      ? Math.max(start, Math.min(end, this.currentFrame + direction))
+      : (direction > 0 ? start : end);
+    if (!this._frames.hasFrame(target)) return;
+
+    this.direction = direction;
+    this.currentFrame = target;
+    this._emit("loop", { frame: target });
+  }
+
+  // -----------------------------
+  // Editing
+  // -----------------------------
+  // Edits change the player's own copy of the frames (the buffer it was given is
+  // left alone) and drop only the cached instances / mesh of the frames they
+  // touch; those are rebuilt on the next render, so a burst of setVoxel calls
+  // costs one rebuild. The camera, playback state and GL context are kept.
+  // Call render() to show an edit while paused.
+
+  /**
+   * Change one voxel
+   * @param {number} frame - Frame index
+   * @param {number} x - Grid X
+   * @param {number} y - Grid Y
+   * @param {number} z - Grid Z
+   * @param {Object|Array|string|number|Uint8Array|null} voxel - HSBA colour (any
+   *   HSBAUtil.encodePixel input), converted to the file's colour model; a palette
+   *   index for indexed files; raw voxel bytes as a Uint8Array; or null to clear
+   */
+  setVoxel(frame, x, y, z, voxel) {
+    const frames = this._getEditableFrames();
+    const { width, height, depth, bytesPerVoxel } = this;
+    if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= depth) {
+      throw new Error(`Voxel (${x}, ${y}, ${z}) is outside the ${width}×${height}×${depth} grid`);
+    }
+
+    const index = (z * height + y) * width + x;
+    frames.getWritableFrame(frame).set(this._encodeVoxel(voxel), index * bytesPerVoxel);
+    this._invalidateFrame(frame);
+  }
+
+  /**
+   * Replace a frame's voxels
+   * @param {number} frame - Frame index
+   * @param {Uint8Array} bytes - frameSizeBytes of voxel data in the file's colour model
+   */
+  setFrame(frame, bytes) {
+    const frames = this._getEditableFrames();
+    frames.setFrame(frame, this._checkFrameBytes(bytes).slice());
+    this._invalidateFrame(frame);
+  }
+
+  /**
+   * Insert a frame. Later frames, their durations, clips and the loop start
+   * move up by one; the current frame keeps showing the same voxels.
+   * @param {number} index - Position of the new frame (0 to frameCount)
+   * @param {Uint8Array} [bytes] - Voxel data (frameSizeBytes); empty if omitted
+   * @param {number} [durationMs] - Hold time for the new frame (default frameDurationMs)
+   */
+  insertFrame(index, bytes = null, durationMs = null) {
+    const frames = this._getEditableFrames();
+    if (!(index >= 0 && index <= this.frameCount)) {
+      throw new Error(`Frame index ${index} is outside 0-${this.frameCount}`);
+    }
+    const frame = bytes ? this._checkFrameBytes(bytes).slice() : new Uint8Array(this.frameSizeBytes);
+
+    frames.insertFrame(index, frame, durationMs);
+    this._shiftFrameCaches(index, 1);
+    this._syncFrameTable();
+    if (this.range) {
+      this.range = this.range.map((frameIndex) => (frameIndex >= index ? frameIndex + 1 : frameIndex));
+    }
+    if (this.currentFrame >= index) this.currentFrame++;
+  }
+
+  /**
+   * Remove a frame. Later frames, their durations, clips and the loop start move
+   * down by one; clips left empty are dropped.
+   * @param {number} index - Frame to remove
+   * @throws {Error} If it is the only frame
+   */
+  removeFrame(index) {
+    const frames = this._getEditableFrames();
+    if (!(index >= 0 && index < this.frameCount)) {
+      throw new Error(`Frame index ${index} is outside 0-${this.frameCount - 1}`);
+    }
+    if (this.frameCount === 1) throw new Error("Can't remove the only frame");
+
+    this._invalidateFrame(index);
+    frames.removeFrame(index);
+    this._shiftFrameCaches(index + 1, -1);
+    this._syncFrameTable();
+    if (this.range) {
+      const [start, end] = this.range.map((frameIndex) => (frameIndex > index ? frameIndex - 1 : frameIndex));
+      this.range = start <= end && end < this.frameCount ? [start, end] : null;
+    }
+    if (this.currentFrame > index || this.currentFrame >= this.frameCount) {
+      this.currentFrame = Math.max(0, this.currentFrame - 1);
+    }
+  }
+
+  /**
+   * Replace the per-frame durations and/or the clips. Voxels, cached instances
+   * and the current frame are left alone.
+   * @param {Object} timeline
+   * @param {number[]|null} [timeline.frameDurations] - One hold time (ms) per frame,
+   *   or null for frameDurationMs everywhere; left unchanged if omitted
+   * @param {Array<{name: string, start: number, end: number}>} [timeline.clips] -
+   *   Named inclusive frame ranges; left unchanged if omitted
+   */
+  setTimeline({ frameDurations, clips } = {}) {
+    const frames = this._getEditableFrames();
+    const { frameCount } = this;
+    if (frameDurations !== undefined) {
+      if (frameDurations !== null && frameDurations.length !== frameCount) {
+        throw new Error(`Expected ${frameCount} frame durations, got ${frameDurations.length}`);
+      }
+      frames.header.frameDurations = frameDurations && [...frameDurations];
+    }
+    if (clips !== undefined) {
+      for (const clip of clips) {
+        if (!(clip.start >= 0 && clip.start <= clip.end && clip.end < frameCount)) {
+          throw new Error(`Clip "${clip.name}" range ${clip.start}-${clip.end} is outside 0-${frameCount - 1}`);
+        }
+      }
+      frames.header.clips = clips.map((clip) => ({ ...clip }));
+    }
+    this._syncFrameTable();
+  }
+
+  /**
+   * Swap in a new file without rebuilding the player. Grid size, colour model and
+   * timing all follow the new header; the current frame and range are clamped
+   * to the new frame count.
+   * @param {Uint8Array|ArrayBuffer|HologlyphFrameSource} data - New .glyf data
+   */
+  replaceData(data) {
+    const frames = data instanceof HologlyphFrameSource
+      ? data
+      : new HologlyphFrameSource(data, { cacheSize: this._frameCacheSize });
+    const { width, height, depth } = frames.header;
+    const resized = width !== this.width || height !== this.height || depth !== this.depth;
+
+    if (this.gl) {
+      this._clearRenderCache();
+      if (resized) this._releaseBoundingBoxGeometry();
+    }
+    // A ping-pong animation keeps bouncing the way it was going unless the new header flips reverse
+    const wasReverse = this.header.reverse;
+    this._setFrames(frames);
+    if (this.header.reverse !== wasReverse) this.direction = this.header.reverse ? -1 : 1;
+
+    if (this.range) this.setRange(...this.range);
+    this.currentFrame = Math.min(this.currentFrame, this.frameCount - 1);
+  }
+
+  // Edits go to an editable view of the frames, made on the first edit; it copies
+  // each frame into memory when that frame is first written
+  _getEditableFrames() {
+    if (!(this._frames instanceof EditableFrameSource)) {
+      if (!this._frames.complete) throw new Error("Frames can't be edited while the file is still loading");
+      this._frames = new EditableFrameSource(this._frames);
+      this.header = this._frames.header;
+      this._syncFrameTable();
+    }
+    return this._frames;
+  }
+
+  _checkFrameBytes(bytes) {
+    if (!(bytes instanceof Uint8Array) || bytes.length !== this.frameSizeBytes) {
+      throw new Error(`Frame data must be a Uint8Array of ${this.frameSizeBytes} bytes`);
+    }
+    return bytes;
+  }
+
+  // Voxel bytes in the file's colour model (see setVoxel)
+  _encodeVoxel(voxel) {
+    const { bytesPerVoxel, colorModel } = this;
+    if (voxel === null) return new Uint8Array(bytesPerVoxel);
+    if (voxel instanceof Uint8Array) {
+      if (voxel.length !== bytesPerVoxel) throw new Error(`Raw voxels are ${bytesPerVoxel} bytes`);
+      return voxel;
+    }
+
+    if (colorModel === COLOR_MODEL.INDEXED) {
+      let index = voxel;
+      if (typeof voxel !== "number") {
+        // Colours must already be in the palette
+        const [h, s, b, a] = HSBAUtil.encodePixel(voxel);
+        const palette = this.palette;
+        index = -1;
+        for (let i = 0; i < palette.length / 4; i++) {
+          const p = i * 4;
+          if (palette[p] === h && palette[p + 1] === s && palette[p + 2] === b && palette[p + 3] === a) {
+            index = i;
+            break;
+          }
+        }
+        if (index < 0) throw new Error("Colour is not in the file's palette");
+      }
+      return new Uint8Array([index & 0xff, index >> 8]).subarray(0, bytesPerVoxel);
+    }
+    if (typeof voxel === "number") throw new Error("Palette indices need an indexed file");
+
+    if (colorModel === COLOR_MODEL.RGBA_8888) {
+      const { r, g, b, a } = HSBAUtil.toRgba(voxel);
+      return new Uint8Array([r, g, b, a]);
+    }
+    return HSBAUtil.encodePixel(voxel);
+  }
+
+  // Drop a frame's cached occupancy, instances and mesh so the next render rebuilds them
+  _invalidateFrame(frameIndex) {
+    this._frames.invalidate(frameIndex);
+    if (!this.gl) return;
+
+    const instances = this._instanceCache.get(frameIndex);
+    if (instances) {
+      this._releaseInstances(instances);
+      this._instanceCache.delete(frameIndex);
+    }
+    const mesh = this._meshCache.get(frameIndex);
+    if (mesh) {
+      this._releaseMesh(mesh);
+      this._meshCache.delete(frameIndex);
+    }
+  }
+
+  // Renumber cached per-frame render state from `start` on by `delta`
+  _shiftFrameCaches(start, delta) {
+    if (!this.gl) return;
+    for (const cache of [this._instanceCache, this._meshCache]) {
+      const entries = [...cache].map(([frameIndex, value]) => [frameIndex >= start ? frameIndex + delta : frameIndex, value]);
+      cache.clear();
+      for (const [frameIndex, value] of entries) cache.set(frameIndex, value);
+    }
+  }
+
+  render() {
+    // Frame hasn't streamed in yet; keep showing the last one
+    if (!this._frames.hasFrame(this.currentFrame)) return;
+
+    if (this.useWebGL) {
+      this._renderWebGL();
+    } else {
+      this._render2D();
+    }
+  }
+
+  _render2D() {
+    const ctx = this.ctx;
+    const { width, height, depth, voxelSize } = this;
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    const cx = this.canvas.width / 2;
+    const cy = this.canvas.height / 2;
+    const isoXZ = 0.5;
+    const isoZY = 0.5;
+
+    // Occupied voxels only, already in Z → Y → X (back-to-front) order
+    const { count, indices, voxels } = this._frames.getOccupied(this.currentFrame);
+    for (let i = 0; i < count; i++) {
+      const rgba = this._voxelRgba(voxels, i);
+      if (!rgba) continue;
+
+      const [x, y, z] = this._voxelPosition(indices[i]);
+      const dx = x - width / 2;
+      const dy = y - height / 2;
+      const dz = z - depth / 2;
+
+      const screenX = cx + (dx - dz * isoXZ) * voxelSize;
+      const screenY = cy + (dy + dz * isoZY) * voxelSize;
+
+      ctx.fillStyle = rgbaToCss(rgba);
+      ctx.fillRect(screenX, screenY, voxelSize, voxelSize);
+    }
+  }
+
+  // Grid coordinates of a voxel index (Z → Y → X order)
+  _voxelPosition(index) {
+    const x = index % this.width;
+    const row = Math.floor(index / this.width);
+    return [x, row % this.height, Math.floor(row / this.height)];
+  }
+
+  // -----------------------------
+  // Picking
+  // -----------------------------
+
+  /**
+   * Ray through a point on the canvas, unprojected with the WebGL camera's
+   * projection, view and zoom. Coordinates are grid units: voxel (x, y, z)
+   * spans x..x+1, y..y+1 and z..z+1.
+   * @param {number} clientX - Pointer X in viewport pixels (e.g. MouseEvent.clientX)
+   * @param {number} clientY - Pointer Y in viewport pixels
+   * @returns {{origin: number[], direction: number[]}} - Unit direction pointing into the scene
+   */
+  getPickRay(clientX, clientY) {
+    if (!this.useWebGL) throw new Error("Picking needs the WebGL renderer (useWebGL: true)");
+
+    // Client pixels → normalized device coordinates (CSS transforms included)
+    const rect = this.canvas.getBoundingClientRect();
+    const ndcX = ((clientX - rect.left) / rect.width) * 2 - 1;
+    const ndcY = 1 - ((clientY - rect.top) / rect.height) * 2;
+
+    const { projectionMatrix, viewMatrix } = this._getCameraMatrices();
+    const inverse = this._invertMatrix(this._multiplyMatrices(projectionMatrix, viewMatrix));
+    const near = this._transformPoint(inverse, ndcX, ndcY, -1);
+    const far = this._transformPoint(inverse, ndcX, ndcY, 1);
+
+    // World space is centred on the grid, with voxel centres at whole units
+    const shift = [this.width / 2 + 0.5, this.height / 2 + 0.5, this.depth / 2 + 0.5];
+    const direction = far.map((value, a) => value - near[a]);
+    const length = Math.hypot(...direction);
+    return {
+      origin: near.map((value, a) => value + shift[a]),
+      direction: direction.map((value) => value / length),
+    };
+  }
+
+  /**
+   * Find the voxel under a point on the canvas. Casts the getPickRay ray
+   * through the grid one cell at a time, so the first visible voxel wins.
+   * @param {number} clientX - Pointer X in viewport pixels (e.g. MouseEvent.clientX)
+   * @param {number} clientY - Pointer Y in viewport pixels
+   * @param {Object} [options]
+   * @param {number} [options.frame=this.currentFrame] - Frame to test
+   * @param {Function} [options.isSolid] - `(x, y, z) => boolean` used instead of
+   *   the frame's voxels, e.g. to ignore preview-only highlights
+   * @returns {Object|null} - `{ x, y, z, index, normal, adjacent }`: the voxel hit, the
+   *   outward normal `[nx, ny, nz]` of the face the ray entered, and the empty cell
+   *   `{ x, y, z }` in front of that face (null outside the grid). Null when nothing is hit.
+   */
+  pick(clientX, clientY, { frame = this.currentFrame, isSolid = null } = {}) {
+    const { origin, direction } = this.getPickRay(clientX, clientY);
+    const { width, height, depth } = this;
+    const dims = [width, height, depth];
+
+    if (!isSolid) {
+      if (!this._frames.hasFrame(frame)) return null;
+      const voxels = this._frames.getFrame(frame);
+      isSolid = (x, y, z) => this._voxelRgba(voxels, (z * height + y) * width + x) !== null;
+    }
+
+    // Clip the ray to the grid box (slab test); enterAxis is the face it comes through
+    let tEnter = 0;
+    let tExit = Infinity;
+    let enterAxis = -1;
+    for (let a = 0; a < 3; a++) {
+      if (direction[a] === 0) {
+        if (origin[a] < 0 || origin[a] > dims[a]) return null;
+        continue;
+      }
+      let t0 = -origin[a] / direction[a];
+      let t1 = (dims[a] - origin[a]) / direction[a];
+      if (t0 > t1) [t0, t1] = [t1, t0];
+      if (t0 > tEnter) {
+        tEnter = t0;
+        enterAxis = a;
+      }
+      tExit = Math.min(tExit, t1);
+    }
+    if (tEnter > tExit) return null;
+
+    // Walk cell to cell (Amanatides & Woo): always cross the nearest boundary next
+    const cell = dims.map((size, a) => Math.max(0, Math.min(size - 1, Math.floor(origin[a] + direction[a] * tEnter))));
+    const step = direction.map((d) => (d > 0 ? 1 : -1));
+    const tDelta = direction.map((d) => (d === 0 ? Infinity : Math.abs(1 / d)));
+    const tMax = direction.map((d, a) => (d === 0 ? Infinity : (cell[a] + (d > 0 ? 1 : 0) - origin[a]) / d));
+    let axis = enterAxis;
+
+    for (;;) {
+      const [x, y, z] = cell;
+      if (isSolid(x, y, z)) {
+        const normal = [0, 0, 0];
+        let adjacent = null;
+        if (axis >= 0) {
+          normal[axis] = -step[axis];
+          const next = cell[axis] + normal[axis];
+          if (next >= 0 && next < dims[axis]) {
+            adjacent = { x, y, z };
+            adjacent["xyz"[axis]] = next;
+          }
+        }
+        return { x, y, z, index: (z * height + y) * width + x, normal, adjacent };
+      }
+
+      axis = tMax[0] < tMax[1]
+        ? (tMax[0] < tMax[2] ? 0 : 2)
+        : (tMax[1] < tMax[2] ? 1 : 2);
+      cell[axis] += step[axis];
+      if (cell[axis] < 0 || cell[axis] >= dims[axis]) return null;
+      tMax[axis] += tDelta[axis];
+    }
+  }
+
+  _renderGrid() {
+    const gl = this.gl;
+    
+    // Safety check: ensure bounding box geometry exists
+    if (!this.boundingBoxFaces) {
+      console.warn('Bounding box geometry not initialized');
+      return;
+    }
+
+    // Calculate camera view direction from rotation
+    const rotX = this.viewRotationX;
+    const rotY = this.viewRotationY;
+    
+    // Calculate view direction vector (where camera is looking from camera position)
+    const viewDirX = Math.sin(rotY) * Math.cos(rotX);
+    const viewDirY = -Math.sin(rotX);
+    const viewDirZ = -Math.cos(rotY) * Math.cos(rotX);
+    
+    // Determine which 3 faces to render (back faces only - furthest from camera)
+    // This creates a bounding box that shows the grid bounds without visual clutter
+    const facesToRender = [];
+    
+    // X axis faces (left/right) - show the face furthest from camera
+    if (viewDirX > 0) {
+      facesToRender.push('left');  // Show left when looking right
+    } else {
+      facesToRender.push('right'); // Show right when looking left
+    }
+    
+    // Y axis faces (top/bottom) - show the face furthest from camera
+    if (viewDirY > 0) {
+      facesToRender.push('top');    // Show top when looking up
+    } else {
+      facesToRender.push('bottom'); // Show bottom when looking down
+    }
+    
+    // Z axis faces (front/back) - show the face furthest from camera
+    if (viewDirZ > 0) {
+      facesToRender.push('front'); // Show front when looking away
+    } else {
+      facesToRender.push('back');  // Show back when looking toward
+    }
+
+    // Disable depth writing for transparent grid (but keep depth testing)
+    gl.depthMask(false);
+
+    // Setup attributes for grid rendering
+    gl.enableVertexAttribArray(this.attribLocations.position);
+    gl.disableVertexAttribArray(this.attribLocations.normal);
+    gl.vertexAttrib3f(this.attribLocations.normal, 0, 1, 0);
+    gl.disableVertexAttribArray(this.attribLocations.color);
+    gl.vertexAttrib4f(this.attribLocations.color, GRID_COLOR_R, GRID_COLOR_G, GRID_COLOR_B, GRID_COLOR_A);
+    gl.disableVertexAttribArray(this.attribLocations.offset);
+    gl.vertexAttrib3f(this.attribLocations.offset, 0, 0, 0);
+
+    // Identity model matrix (faces are already positioned)
+    const identityMatrix = new Float32Array([
+      1, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1
+    ]);
+    gl.uniformMatrix4fv(this.uniformLocations.modelMatrix, false, identityMatrix);
+
+    // Render each back face
+    facesToRender.forEach(faceName => {
+      const face = this.boundingBoxFaces[faceName];
+      if (face) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, face.buffer);
+        gl.vertexAttribPointer(this.attribLocations.position, 3, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.LINES, 0, face.vertexCount);
+      }
+    });
+
+    // Re-enable depth writing
+    gl.depthMask(true);
+  }
+
+  _renderWebGL() {
+    const gl = this.gl;
+
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.clearColor(0.0, 0.0, 0.0, 0.0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    gl.useProgram(this.program);
+
+    // Orthographic projection and orbiting camera
+    const { projectionMatrix, viewMatrix } = this._getCameraMatrices();
+    gl.uniformMatrix4fv(this.uniformLocations.projectionMatrix, false, projectionMatrix);
+    gl.uniformMatrix4fv(this.uniformLocations.viewMatrix, false, viewMatrix);
+
+    // Set light direction
+    gl.uniform3f(this.uniformLocations.lightDirection, 0.5, 1.0, 0.75);
+
+    // Voxels are positioned by per-instance offsets, so the model matrix stays identity
+    gl.uniformMatrix4fv(this.uniformLocations.modelMatrix, false, this._createModelMatrix(0, 0, 0));
+
+    const instances = this._getFrameInstances(this.currentFrame);
+
+    // Opaque pass: depth-tested and depth-written, order doesn't matter
+    if (this.greedyMeshing) {
+      // Draw the frame's merged surface mesh (hidden faces already culled)
+      const mesh = this._getFrameMesh(this.currentFrame);
+      if (mesh.vertexCount > 0) {
+        this._drawMesh(mesh);
+      }
+    } else if (instances.opaque.count > 0) {
+      // Draw every opaque voxel of the frame in one instanced call
+      this._bindCubeGeometry();
+      this._drawInstances(instances.opaque);
+    }
+
+    // Translucent pass: sorted back-to-front with depth writes off so voxels
+    // behind a translucent one still show through from any orbit angle
+    if (instances.translucent.count > 0) {
+      this._sortTranslucentInstances(instances.translucent);
+      gl.depthMask(false);
+      gl.enable(gl.CULL_FACE);
+      this._bindCubeGeometry();
+      this._drawInstances(instances.translucent);
+      gl.disable(gl.CULL_FACE);
+      gl.depthMask(true);
+    }
+    
+    // Draw bounding box grid AFTER solid voxels for proper depth ordering
+    if (this.showBoundingBox) {
+      // Built on first use, so showBoundingBox can be switched on later
+      if (!this.boundingBoxFaces) this._createBoundingBoxGeometry();
+      this._renderGrid();
+    }
+  }
+
+  // Projection and view matrices for the current canvas size, rotation and zoom
+  _getCameraMatrices() {
+    const { width, height, depth } = this;
+
+    // Orthographic for proper voxel display
+    const aspect = this.canvas.width / this.canvas.height;
+    const size = Math.max(width, height, depth) * 1.2 / this.zoomLevel;
+    const projectionMatrix = this._createOrthographicMatrix(
+      -size * aspect, size * aspect,  // left, right
+      -size, size,                     // bottom, top
+      0.1, 1000.0                      // near, far
+    );
+
+    const cameraDistance = Math.max(width, height, depth) * 2.5;
+    return { projectionMatrix, viewMatrix: this._createViewMatrix(cameraDistance) };
+  }
+
+  _bindCubeGeometry() {
+    const gl = this.gl;
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cubeBuffers.position);
+    gl.enableVertexAttribArray(this.attribLocations.position);
+    gl.vertexAttribPointer(this.attribLocations.position, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cubeBuffers.normal);
+    gl.enableVertexAttribArray(this.attribLocations.normal);
+    gl.vertexAttribPointer(this.attribLocations.normal, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.cubeBuffers.indices);
+  }
+
+  /**
+   * Get (or build) the cached opaque + translucent instance batches for a frame
+   * @param {number} frameIndex - Frame to fetch
+   * @returns {{opaque: Object, translucent: Object}} - Batches of {buffer, data, count}
+   */
+  _getFrameInstances(frameIndex) {
+    let instances = lruGet(this._instanceCache, frameIndex);
+    if (instances) return instances;
+    
+    const { opaque, translucent } = this._buildFrameInstances(this._frames.getOccupied(frameIndex));
+    instances = {
+      opaque: this._createInstanceBatch(opaque, false),
+      translucent: this._createInstanceBatch(translucent, true),
+    };
+    lruSet(this._instanceCache, frameIndex, instances, this._frameCacheSize,
+      (evicted) => this._releaseInstances(evicted));
+    return instances;
+  }
+
+  // keepData: translucent batches keep their instances on the CPU to re-sort them
+  _createInstanceBatch(data, keepData) {
+    // GPU buffer is created and uploaded lazily on first draw
+    return { buffer: null, data, keepData, count: data.length / INSTANCE_FLOATS, dirty: true, sortedFor: null };
+  }
+
+  _releaseInstances(instances) {
+    if (instances.opaque.buffer) this.gl.deleteBuffer(instances.opaque.buffer);
+    if (instances.translucent.buffer) this.gl.deleteBuffer(instances.translucent.buffer);
+  }
+
+  _releaseMesh(mesh) {
+    this.gl.deleteBuffer(mesh.buffer);
+  }
+
+  /**
+   * Decode a frame into packed instance data (offset xyz + colour rgba per visible voxel),
+   * split into fully opaque and translucent voxels
+   * @param {Object} occupied - Occupied voxels of the frame (HologlyphFrameSource.getOccupied)
+   * @returns {{opaque: Float32Array, translucent: Float32Array}} - INSTANCE_FLOATS per voxel
+   */
+  _buildFrameInstances(occupied) {
+    const { width, height, depth } = this;
+    const { count, indices, voxels } = occupied;
+    const opaque = [];
+    const translucent = [];
+
+    for (let i = 0; i < count; i++) {
+      const rgba = this._voxelRgba(voxels, i);
+      if (!rgba) continue;
+
+      const [x, y, z] = this._voxelPosition(indices[i]);
+      const out = rgba[3] >= 1 ? opaque : translucent;
+      out.push(
+        x - width / 2, y - height / 2, z - depth / 2,
+        rgba[0], rgba[1], rgba[2], rgba[3]
+      );
+    }
+
+    return { opaque: new Float32Array(opaque), translucent: new Float32Array(translucent) };
+  }
+
+  /**
+   * Reorder a translucent batch back-to-front for the current camera.
+   * The sort is skipped when the camera hasn't moved since the last one.
+   * @param {Object} batch - Instance batch from _getFrameInstances
+   */
+  _sortTranslucentInstances(batch) {
+    const sortKey = `${this.viewRotationX},${this.viewRotationY}`;
+    if (batch.sortedFor === sortKey) return;
+    batch.sortedFor = sortKey;
+    if (batch.count < 2) return;
+
+    // Distance towards the camera along its viewing axis (orthographic)
+    const [cx, cy, cz] = this._getCameraDirection();
+    const data = batch.data;
+    const depthOf = new Float32Array(batch.count);
+    const order = new Array(batch.count);
+    for (let i = 0; i < batch.count; i++) {
+      const base = i * INSTANCE_FLOATS;
+      depthOf[i] = data[base] * cx + data[base + 1] * cy + data[base + 2] * cz;
+      order[i] = i;
+    }
+    order.sort((a, b) => depthOf[a] - depthOf[b]);
+
+    const sorted = new Float32Array(data.length);
+    for (let i = 0; i < order.length; i++) {
+      const base = order[i] * INSTANCE_FLOATS;
+      sorted.set(data.subarray(base, base + INSTANCE_FLOATS), i * INSTANCE_FLOATS);
+    }
+    batch.data = sorted;
+    batch.dirty = true;
+  }
+
+  // Colour of a single voxel as normalized RGBA, or null if the voxel is empty
+  _voxelRgba(frame, index) {
+    return voxelToRgbaUnit(frame, index, this);
+  }
+
+  _drawInstances(instances) {
+    const gl = this.gl;
+    const { offset, color } = this.attribLocations;
+
+    if (!instances.buffer) {
+      instances.buffer = gl.createBuffer();
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, instances.buffer);
+    if (instances.dirty) {
+      gl.bufferData(gl.ARRAY_BUFFER, instances.data, gl.STATIC_DRAW);
+      instances.dirty = false;
+      // Once uploaded, opaque instances only live on the GPU (the fallback below still reads them)
+      if (!instances.keepData && this._instancing) instances.data = null;
+    }
+
+    if (!this._instancing) {
+      // No instancing available: one draw per voxel using constant attributes
+      gl.disableVertexAttribArray(offset);
+      gl.disableVertexAttribArray(color);
+      const data = instances.data;
+      for (let i = 0; i < data.length; i += INSTANCE_FLOATS) {
+        gl.vertexAttrib3f(offset, data[i], data[i + 1], data[i + 2]);
+        gl.vertexAttrib4f(color, data[i + 3], data[i + 4], data[i + 5], data[i + 6]);
+        gl.drawElements(gl.TRIANGLES, this.cubeIndexCount, gl.UNSIGNED_SHORT, 0);
+      }
+      return;
+    }
+
+    gl.enableVertexAttribArray(offset);
+    gl.vertexAttribPointer(offset, 3, gl.FLOAT, false, INSTANCE_STRIDE_BYTES, 0);
+    this._instancing.vertexAttribDivisor(offset, 1);
+
+    gl.enableVertexAttribArray(color);
+    gl.vertexAttribPointer(color, 4, gl.FLOAT, false, INSTANCE_STRIDE_BYTES, 12);
+    this._instancing.vertexAttribDivisor(color, 1);
+
+    this._instancing.drawElementsInstanced(gl.TRIANGLES, this.cubeIndexCount, gl.UNSIGNED_SHORT, 0, instances.count);
+
+    // Reset divisors so non-instanced draws (grid) behave normally
+    this._instancing.vertexAttribDivisor(offset, 0);
+    this._instancing.vertexAttribDivisor(color, 0);
+    gl.disableVertexAttribArray(offset);
+    gl.disableVertexAttribArray(color);
+  }
+
+  /**
+   * Get (or build) the cached greedy surface mesh for a frame
+   * @param {number} frameIndex - Frame to fetch
+   * @returns {{buffer: WebGLBuffer, vertexCount: number}}
+   */
+  _getFrameMesh(frameIndex) {
+    let mesh = lruGet(this._meshCache, frameIndex);
+    if (mesh) return mesh;
+
+    const gl = this.gl;
+    const data = this._buildFrameMesh(this._frames.getOccupied(frameIndex));
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+
+    mesh = { buffer, vertexCount: data.length / MESH_VERTEX_FLOATS };
+    lruSet(this._meshCache, frameIndex, mesh, this._frameCacheSize, (evicted) => this._releaseMesh(evicted));
+    return mesh;
+  }
+
+  /**
+   * Build a greedy-meshed surface for a frame's opaque voxels.
+   * Only faces bordering empty or translucent cells are emitted, and coplanar
+   * faces of the same colour are merged into larger quads. Translucent voxels
+   * are left to the sorted instanced pass.
+   * @param {Object} occupied - Occupied voxels of the frame (HologlyphFrameSource.getOccupied)
+   * @returns {Float32Array} - Triangle vertices, MESH_VERTEX_FLOATS per vertex
+   */
+  _buildFrameMesh(occupied) {
+    const { width, height, depth } = this;
+    const dims = [width, height, depth];
+    const voxelCount = width * height * depth;
+    const { count, indices, voxels } = occupied;
+
+    // Colour key per cell (0 = empty), plus lookup tables for colour and opacity
+    const keys = new Uint32Array(voxelCount);
+    const opaque = new Uint8Array(voxelCount);
+    const colors = [null];
+    const keyByPixel = new Map();
+    for (let i = 0; i < count; i++) {
+      const rgba = this._voxelRgba(voxels, i);
+      if (!rgba || rgba[3] < 1) continue;
+
+      const base = i * this.bytesPerVoxel;
+      let pixel = 0;
+      for (let j = 0; j < this.bytesPerVoxel; j++) {
+        pixel = pixel * 256 + voxels[base + j];
+      }
+      let key = keyByPixel.get(pixel);
+      if (key === undefined) {
+        key = colors.length;
+        colors.push(rgba);
+        keyByPixel.set(pixel, key);
+      }
+      keys[indices[i]] = key;
+      opaque[indices[i]] = 1;
+    }
+
+    const cellIndex = (p) => p[0] + width * (p[1] + height * p[2]);
+    const out = [];
+    const pos = [0, 0, 0];
+    const nb = [0, 0, 0];
+
+    for (let d = 0; d < 3; d++) {
+      const u = (d + 1) % 3;
+      const v = (d + 2) % 3;
+      const mask = new Uint32Array(dims[u] * dims[v]);
+
+      for (const dir of [-1, 1]) {
+        for (let slice = 0; slice < dims[d]; slice++) {
+          // Mark faces on this slice that are exposed in direction `dir`
+          let m = 0;
+          for (let j = 0; j < dims[v]; j++) {
+            for (let i = 0; i < dims[u]; i++, m++) {
+              pos[d] = slice; pos[u] = i; pos[v] = j;
+              const key = keys[cellIndex(pos)];
+              mask[m] = 0;
+              if (!key) continue;
+
+              const n = slice + dir;
+              if (n >= 0 && n < dims[d]) {
+                nb[d] = n; nb[u] = i; nb[v] = j;
+                if (opaque[cellIndex(nb)]) continue; // Hidden behind a solid neighbour
+              }
+              mask[m] = key;
+            }
+          }
+
+          // Merge runs of identical faces into rectangles
+          m = 0;
+          for (let j = 0; j < dims[v]; j++) {
+            for (let i = 0; i < dims[u];) {
+              const key = mask[m];
+              if (!key) { i++; m++; continue; }
+
+              let w = 1;
+              while (i + w < dims[u] && mask[m + w] === key) w++;
+
+              let h = 1;
+              grow: while (j + h < dims[v]) {
+                for (let k = 0; k < w; k++) {
+                  if (mask[m + k + h * dims[u]] !== key) break grow;
+                }
+                h++;
+              }
+
+              this._emitMeshQuad(out, d, u, v, dir, slice, i, j, w, h, colors[key]);
+
+              for (let y = 0; y < h; y++) {
+                for (let k = 0; k < w; k++) {
+                  mask[m + k + y * dims[u]] = 0;
+                }
+              }
+              i += w;
+              m += w;
+            }
+          }
+        }
+      }
+    }
+
+    return new Float32Array(out);
+  }
+
+  _emitMeshQuad(out, d, u, v, dir, slice, i, j, w, h, rgba) {
+    const half = [this.width / 2 + 0.5, this.height / 2 + 0.5, this.depth / 2 + 0.5];
+    const plane = slice + (dir > 0 ? 1 : 0);
+    const normal = [0, 0, 0];
+    normal[d] = dir;
+
+    // Corner positions in world space (cell corners sit at integer grid coordinates)
+    const corner = (cu, cv) => {
+      const p = [0, 0, 0];
+      p[d] = plane - half[d];
+      p[u] = cu - half[u];
+      p[v] = cv - half[v];
+      return p;
+    };
+    const c00 = corner(i, j);
+    const c10 = corner(i + w, j);
+    const c11 = corner(i + w, j + h);
+    const c01 = corner(i, j + h);
+
+    for (const p of [c00, c10, c11, c00, c11, c01]) {
+      out.push(p[0], p[1], p[2], normal[0], normal[1], normal[2], rgba[0], rgba[1], rgba[2], rgba[3]);
+    }
+  }
+
+  _drawMesh(mesh) {
+    const gl = this.gl;
+    const { position, normal, color, offset } = this.attribLocations;
+
+    gl.disableVertexAttribArray(offset);
+    gl.vertexAttrib3f(offset, 0, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffer);
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 3, gl.FLOAT, false, MESH_STRIDE_BYTES, 0);
+    gl.enableVertexAttribArray(normal);
+    gl.vertexAttribPointer(normal, 3, gl.FLOAT, false, MESH_STRIDE_BYTES, 12);
+    gl.enableVertexAttribArray(color);
+    gl.vertexAttribPointer(color, 4, gl.FLOAT, false, MESH_STRIDE_BYTES, 24);
+
+    gl.drawArrays(gl.TRIANGLES, 0, mesh.vertexCount);
+
+    gl.disableVertexAttribArray(color);
+  }
+
+  _clearRenderCache() {
+    for (const instances of this._instanceCache.values()) this._releaseInstances(instances);
+    for (const mesh of this._meshCache.values()) this._releaseMesh(mesh);
+    this._instanceCache.clear();
+    this._meshCache.clear();
+  }
+
+  _createPerspectiveMatrix(fov, aspect, near, far) {
+    const f = 1.0 / Math.tan(fov / 2);
+    const nf = 1 / (near - far);
+
+    return new Float32Array([
+      f / aspect, 0, 0, 0,
+      0, f, 0, 0,
+      0, 0, (far + near) * nf, -1,
+      0, 0, 2 * far * near * nf, 0
+    ]);
+  }
+
+  _createOrthographicMatrix(left, right, bottom, top, near, far) {
+    const lr = 1 / (left - right);
+    const bt = 1 / (bottom - top);
+    const nf = 1 / (near - far);
+
+    return new Float32Array([
+      -2 * lr, 0, 0, 0,
+      0, -2 * bt, 0, 0,
+      0, 0, 2 * nf, 0,
+      (left + right) * lr, (top + bottom) * bt, (far + near) * nf, 1
+    ]);
+  }
+
+  _createViewMatrix(distance) {
+    // Apply orbital rotation (zoom is handled by projection matrix for orthographic)
+    const [dx, dy, dz] = this._getCameraDirection();
+
+    // Camera position based on rotation
+    const cx = distance * dx;
+    const cy = distance * dy;
+    const cz = distance * dz;
+
+    // Look at origin
+    return this._createLookAtMatrix(cx, cy, cz, 0, 0, 0, 0, 1, 0);
+  }
+
+  // Unit vector from the origin towards the orbiting camera
+  _getCameraDirection() {
+    const cosX = Math.cos(this.viewRotationX);
+    const sinX = Math.sin(this.viewRotationX);
+    const cosY = Math.cos(this.viewRotationY);
+    const sinY = Math.sin(this.viewRotationY);
+    return [cosX * sinY, sinX, cosX * cosY];
+  }
+
+  // a × b for column-major 4×4 matrices
+  _multiplyMatrices(a, b) {
+    const out = new Float32Array(16);
+    for (let col = 0; col < 4; col++) {
+      for (let row = 0; row < 4; row++) {
+        let sum = 0;
+        for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+        out[col * 4 + row] = sum;
+      }
+    }
+    return out;
+  }
+
+  // Inverse of a column-major 4×4 matrix (cofactor expansion)
+  _invertMatrix(m) {
+    const [a00, a01, a02, a03, a10, a11, a12, a13, a20, a21, a22, a23, a30, a31, a32, a33] = m;
+    const b00 = a00 * a11 - a01 * a10;
+    const b01 = a00 * a12 - a02 * a10;
+    const b02 = a00 * a13 - a03 * a10;
+    const b03 = a01 * a12 - a02 * a11;
+    const b04 = a01 * a13 - a03 * a11;
+    const b05 = a02 * a13 - a03 * a12;
+    const b06 = a20 * a31 - a21 * a30;
+    const b07 = a20 * a32 - a22 * a30;
+    const b08 = a20 * a33 - a23 * a30;
+    const b09 = a21 * a32 - a22 * a31;
+    const b10 = a21 * a33 - a23 * a31;
+    const b11 = a22 * a33 - a23 * a32;
+    const det = 1 / (b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06);
+
+    return new Float32Array([
+      (a11 * b11 - a12 * b10 + a13 * b09) * det,
+      (a02 * b10 - a01 * b11 - a03 * b09) * det,
+      (a31 * b05 - a32 * b04 + a33 * b03) * det,
+      (a22 * b04 - a21 * b05 - a23 * b03) * det,
+      (a12 * b08 - a10 * b11 - a13 * b07) * det,
+      (a00 * b11 - a02 * b08 + a03 * b07) * det,
+      (a32 * b02 - a30 * b05 - a33 * b01) * det,
+      (a20 * b05 - a22 * b02 + a23 * b01) * det,
+      (a10 * b10 - a11 * b08 + a13 * b06) * det,
+      (a01 * b08 - a00 * b10 - a03 * b06) * det,
+      (a30 * b04 - a31 * b02 + a33 * b00) * det,
+      (a21 * b02 - a20 * b04 - a23 * b00) * det,
+      (a11 * b07 - a10 * b09 - a12 * b06) * det,
+      (a00 * b09 - a01 * b07 + a02 * b06) * det,
+      (a31 * b01 - a30 * b03 - a32 * b00) * det,
+      (a20 * b03 - a21 * b01 + a22 * b00) * det,
+    ]);
+  }
+
+  // Apply a column-major 4×4 matrix to a point, with the perspective divide
+  _transformPoint(m, x, y, z) {
+    const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+    return [
+      (m[0] * x + m[4] * y + m[8] * z + m[12]) / w,
+      (m[1] * x + m[5] * y + m[9] * z + m[13]) / w,
+      (m[2] * x + m[6] * y + m[10] * z + m[14]) / w,
+    ];
+  }
+
+  _createLookAtMatrix(eyeX, eyeY, eyeZ, centerX, centerY, centerZ, upX, upY, upZ) {
+    // Calculate forward, right, and up vectors
+    let fx = eyeX - centerX;
+    let fy = eyeY - centerY;
+    let fz = eyeZ - centerZ;
+    
+    let len = Math.sqrt(fx * fx + fy * fy + fz * fz);
+    fx /= len; fy /= len; fz /= len;
+
+    let rx = upY * fz - upZ * fy;
+    let ry = upZ * fx - upX * fz;
+    let rz = upX * fy - upY * fx;
+    
+    len = Math.sqrt(rx * rx + ry * ry + rz * rz);
+    rx /= len; ry /= len; rz /= len;
+
+    let ux = fy * rz - fz * ry;
+    let uy = fz * rx - fx * rz;
+    let uz = fx * ry - fy * rx;
+
+    return new Float32Array([
+      rx, ux, fx, 0,
+      ry, uy, fy, 0,
+      rz, uz, fz, 0,
+      -(rx * eyeX + ry * eyeY + rz * eyeZ),
+      -(ux * eyeX + uy * eyeY + uz * eyeZ),
+      -(fx * eyeX + fy * eyeY + fz * eyeZ),
+      1
+    ]);
+  }
+
+  _createModelMatrix(x, y, z) {
+    return new Float32Array([
+      1, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, 1, 0,
+      x, y, z, 1
+    ]);
+  }
+}
@@ -0,0 +1,292 @@
+// =============================================================
+//  HOLOGLYPH-RASTER.JS — Software renderer for .glyf frames
+//  No DOM or GPU: draws shaded cubes into an RGBA pixel buffer
+//  with the WebGL player's camera and lighting (thumbnails,
+//  golden-image tests in Node).
+// =============================================================
+
+import { HologlyphFrameSource, voxelToRgbaUnit } from "./hologlyph-core.js";
+
+// Fixed lighting from the player's fragment shader
+const AMBIENT_LIGHT = 0.4;
+const DIFFUSE_LIGHT = 0.6;
+const LIGHT_DIRECTION = normalize([0.5, 1.0, 0.75]);
+
+// Cube faces as drawn by the player: outward normal (also the offset to the
+// neighbouring voxel) and corners relative to the voxel centre
+const CUBE_FACES = [
+  { normal: [0, 0, 1], corners: [[-0.5, -0.5, 0.5], [0.5, -0.5, 0.5], [0.5, 0.5, 0.5], [-0.5, 0.5, 0.5]] },
+  { normal: [0, 0, -1], corners: [[0.5, -0.5, -0.5], [-0.5, -0.5, -0.5], [-0.5, 0.5, -0.5], [0.5, 0.5, -0.5]] },
+  { normal: [0, 1, 0], corners: [[-0.5, 0.5, 0.5], [0.5, 0.5, 0.5], [0.5, 0.5, -0.5], [-0.5, 0.5, -0.5]] },
+  { normal: [0, -1, 0], corners: [[-0.5, -0.5, -0.5], [0.5, -0.5, -0.5], [0.5, -0.5, 0.5], [-0.5, -0.5, 0.5]] },
+  { normal: [1, 0, 0], corners: [[0.5, -0.5, 0.5], [0.5, -0.5, -0.5], [0.5, 0.5, -0.5], [0.5, 0.5, 0.5]] },
+  { normal: [-1, 0, 0], corners: [[-0.5, -0.5, -0.5], [-0.5, -0.5, 0.5], [-0.5, 0.5, 0.5], [-0.5, 0.5, -0.5]] },
+];
+
+function normalize([x, y, z]) {
+  const len = Math.sqrt(x * x + y * y + z * z);
+  return [x / len, y / len, z / len];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// -----------------------------
+// Rendering
+// -----------------------------
+
+/**
+ * Render one frame into an RGBA pixel buffer, as the WebGL player would show
+ * it: orthographic orbit camera, ambient + diffuse lit cube faces, opaque
+ * voxels depth-tested and translucent ones blended back to front.
+ * @param {HologlyphFrameSource|Uint8Array|ArrayBuffer} source - Frame source or
+ *   complete .glyf file (DEFLATE files must be decompressed first)
+ * @param {number} [frameIndex=0] - Frame to render
+ * @param {Object} [options] - Camera and image options
+ * @param {number} [options.width=256] - Image width in pixels
+ * @param {number} [options.height=256] - Image height in pixels
+ * @param {number} [options.rotationX=0.3] - Camera rotation X (radians, like viewRotationX)
+ * @param {number} [options.rotationY=0.6] - Camera rotation Y (radians, like viewRotationY)
+ * @param {number} [options.zoom=1] - Zoom level (like the player's zoomLevel)
+ * @param {number[]} [options.background=[0, 0, 0, 0]] - Background RGBA (0-255)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} - ImageData-shaped
+ *   result; `data` holds straight (non-premultiplied) RGBA, row by row from the top
+ */
+export function renderFrame(source, frameIndex = 0, options = {}) {
+  const {
+    width = 256,
+    height = 256,
+    rotationX = 0.3,
+    rotationY = 0.6,
+    zoom = 1,
+    background = [0, 0, 0, 0],
+  } = options;
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error(`Image size must be positive integers, got ${width}×${height}`);
+  }
+
+  const frames = source instanceof HologlyphFrameSource ? source : new HologlyphFrameSource(source);
+  const camera = createCamera(frames.header, width, height, rotationX, rotationY, zoom);
+  const target = createTarget(width, height, background);
+  const { opaque, translucent } = collectFaces(frames.header, frames.getOccupied(frameIndex), camera);
+
+  for (const face of opaque) drawFace(target, camera, face, true);
+  // Back to front, like the player's translucent instance sort
+  translucent.sort((a, b) => a.depth - b.depth);
+  for (const face of translucent) drawFace(target, camera, face, false);
+
+  return { width, height, data: resolveTarget(target) };
+}
+
+/**
+ * Compare two rendered images pixel by pixel, e.g. against a golden image
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} a - First image
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} b - Second image
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.tolerance=0] - Largest per-channel difference still counted as equal
+ * @returns {{differentPixels: number, maxDifference: number}} - Pixels with any channel
+ *   over the tolerance, and the largest channel difference seen
+ */
+export function diffImages(a, b, { tolerance = 0 } = {}) {
+  if (a.width !== b.width || a.height !== b.height) {
+    throw new Error(`Image sizes differ: ${a.width}×${a.height} vs ${b.width}×${b.height}`);
+  }
+
+  let differentPixels = 0;
+  let maxDifference = 0;
+  for (let p = 0; p < a.data.length; p += 4) {
+    let pixelDifference = 0;
+    for (let c = 0; c < 4; c++) {
+      pixelDifference = Math.max(pixelDifference, Math.abs(a.data[p + c] - b.data[p + c]));
+    }
+    if (pixelDifference > tolerance) differentPixels++;
+    maxDifference = Math.max(maxDifference, pixelDifference);
+  }
+  return { differentPixels, maxDifference };
+}
+
+// Orthographic orbit camera matching HologlyphPlayer._renderWebGL
+function createCamera(header, width, height, rotationX, rotationY, zoom) {
+  const cosX = Math.cos(rotationX);
+  const sinX = Math.sin(rotationX);
+  const cosY = Math.cos(rotationY);
+  const sinY = Math.sin(rotationY);
+
+  // Towards the camera, then the look-at basis for a (0, 1, 0) up vector
+  const forward = [cosX * sinY, sinX, cosX * cosY];
+  const right = [cosY, 0, -sinY];
+  const up = [
+    forward[1] * right[2] - forward[2] * right[1],
+    forward[2] * right[0] - forward[0] * right[2],
+    forward[0] * right[1] - forward[1] * right[0],
+  ];
+
+  const halfHeight = Math.max(header.width, header.height, header.depth) * 1.2 / zoom;
+  const halfWidth = halfHeight * (width / height);
+  return {
+    forward, right, up, width, height,
+    scaleX: width / (2 * halfWidth),
+    scaleY: height / (2 * halfHeight),
+    origin: [header.width / 2, header.height / 2, header.depth / 2],
+  };
+}
+
+// Pixel position and depth (larger is nearer the camera) of a world-space point
+function project(camera, point) {
+  return [
+    camera.width / 2 + dot(camera.right, point) * camera.scaleX,
+    camera.height / 2 - dot(camera.up, point) * camera.scaleY,
+    dot(camera.forward, point),
+  ];
+}
+
+// Camera-facing faces of every visible voxel, lit and split into opaque and translucent
+function collectFaces(header, occupied, camera) {
+  const { width, height } = header;
+  const { count, indices, voxels } = occupied;
+  const colours = new Array(count);
+  const opaqueVoxels = new Set();
+  for (let i = 0; i < count; i++) {
+    colours[i] = voxelToRgbaUnit(voxels, i, header);
+    if (colours[i] && colours[i][3] >= 1) opaqueVoxels.add(indices[i]);
+  }
+
+  const visibleFaces = CUBE_FACES.filter((face) => dot(face.normal, camera.forward) > 0);
+  const shades = visibleFaces.map((face) =>
+    AMBIENT_LIGHT + Math.max(dot(face.normal, LIGHT_DIRECTION), 0) * DIFFUSE_LIGHT);
+  const opaque = [];
+  const translucent = [];
+
+  for (let i = 0; i < count; i++) {
+    const rgba = colours[i];
+    if (!rgba) continue;
+
+    const index = indices[i];
+    const x = index % width;
+    const row = Math.floor(index / width);
+    const y = row % height;
+    const z = Math.floor(row / height);
+    const centre = [x - camera.origin[0], y - camera.origin[1], z - camera.origin[2]];
+    const isOpaque = rgba[3] >= 1;
+    const depth = dot(centre, camera.forward);
+
+    visibleFaces.forEach((face, f) => {
+      // Faces against an opaque neighbour can never be seen
+      const [nx, ny, nz] = face.normal;
+      if (isOpaque && isInside(header, x + nx, y + ny, z + nz) &&
+          opaqueVoxels.has(((z + nz) * height + (y + ny)) * width + (x + nx))) {
+        return;
+      }
+
+      const shade = shades[f];
+      const corners = face.corners.map((corner) =>
+        project(camera, [centre[0] + corner[0], centre[1] + corner[1], centre[2] + corner[2]]));
+      const colour = [Math.min(rgba[0] * shade, 1), Math.min(rgba[1] * shade, 1), Math.min(rgba[2] * shade, 1), rgba[3]];
+      (isOpaque ? opaque : translucent).push({ corners, colour, depth });
+    });
+  }
+
+  return { opaque, translucent };
+}
+
+function isInside(header, x, y, z) {
+  return x >= 0 && y >= 0 && z >= 0 && x < header.width && y < header.height && z < header.depth;
+}
+
+// -----------------------------
+// Pixel Target
+// -----------------------------
+
+// Premultiplied float colour plus a depth buffer (-Infinity = nothing drawn yet)
+function createTarget(width, height, background) {
+  const colour = new Float32Array(width * height * 4);
+  const alpha = background[3] / 255;
+  for (let p = 0; p < colour.length; p += 4) {
+    colour[p] = (background[0] / 255) * alpha;
+    colour[p + 1] = (background[1] / 255) * alpha;
+    colour[p + 2] = (background[2] / 255) * alpha;
+    colour[p + 3] = alpha;
+  }
+  return { width, height, colour, depth: new Float32Array(width * height).fill(-Infinity) };
+}
+
+/**
+ * Fill a projected face (a parallelogram under orthographic projection),
+ * sampling pixel centres. Shared edges follow a top-left rule so adjacent
+ * translucent faces don't blend twice.
+ * @param {Object} target - Pixel target from createTarget
+ * @param {Object} camera - Camera from createCamera
+ * @param {Object} face - { corners: [x, y, depth][], colour: [r, g, b, a] }
+ * @param {boolean} writeDepth - Opaque pass (replace + write depth) or blended pass
+ */
+function drawFace(target, camera, face, writeDepth) {
+  const { corners, colour } = face;
+  const [p0, p1, p2] = corners;
+
+  // Signed area; normalise edge functions so inside is positive
+  const area = (p1[0] - p0[0]) * (p2[1] - p0[1]) - (p1[1] - p0[1]) * (p2[0] - p0[0]);
+  if (area === 0) return;
+  const sign = area > 0 ? 1 : -1;
+
+  const edges = corners.map((a, i) => {
+    const b = corners[(i + 1) % corners.length];
+    const dx = (b[0] - a[0]) * sign;
+    const dy = (b[1] - a[1]) * sign;
+    return { ax: a[0], ay: a[1], dx, dy, topLeft: dy < 0 || (dy === 0 && dx > 0) };
+  });
+
+  // Depth is linear across the (planar) face in screen space
+  const depthX = ((p1[2] - p0[2]) * (p2[1] - p0[1]) - (p2[2] - p0[2]) * (p1[1] - p0[1])) / area;
+  const depthY = ((p2[2] - p0[2]) * (p1[0] - p0[0]) - (p1[2] - p0[2]) * (p2[0] - p0[0])) / area;
+
+  const xs = corners.map((p) => p[0]);
+  const ys = corners.map((p) => p[1]);
+  const minX = Math.max(0, Math.floor(Math.min(...xs)));
+  const maxX = Math.min(target.width - 1, Math.ceil(Math.max(...xs)));
+  const minY = Math.max(0, Math.floor(Math.min(...ys)));
+  const maxY = Math.min(target.height - 1, Math.ceil(Math.max(...ys)));
+
+  const [r, g, b, a] = colour;
+  for (let py = minY; py <= maxY; py++) {
+    const sy = py + 0.5;
+    for (let px = minX; px <= maxX; px++) {
+      const sx = px + 0.5;
+      let inside = true;
+      for (const edge of edges) {
+        const w = edge.dx * (sy - edge.ay) - edge.dy * (sx - edge.ax);
+        if (w < 0 || (w === 0 && !edge.topLeft)) {
+          inside = false;
+          break;
+        }
+      }
+      if (!inside) continue;
+
+      const pixel = py * target.width + px;
+      const depth = p0[2] + (sx - p0[0]) * depthX + (sy - p0[1]) * depthY;
+      if (depth <= target.depth[pixel]) continue;
+
+      const p = pixel * 4;
+      const keep = 1 - a;
+      target.colour[p] = r * a + target.colour[p] * keep;
+      target.colour[p + 1] = g * a + target.colour[p + 1] * keep;
+      target.colour[p + 2] = b * a + target.colour[p + 2] * keep;
+      target.colour[p + 3] = a + target.colour[p + 3] * keep;
+      if (writeDepth) target.depth[pixel] = depth;
+    }
+  }
+}
+
+// Convert the premultiplied float target into straight 8-bit RGBA
+function resolveTarget(target) {
+  const data = new Uint8ClampedArray(target.width * target.height * 4);
+  for (let p = 0; p < data.length; p += 4) {
+    const alpha = target.colour[p + 3];
+    if (alpha === 0) continue;
+    data[p] = Math.round((target.colour[p] / alpha) * 255);
+    data[p + 1] = Math.round((target.colour[p + 1] / alpha) * 255);
+    data[p + 2] = Math.round((target.colour[p + 2] / alpha) * 255);
+    data[p + 3] = Math.round(alpha * 255);
+  }
+  return data;
+}
@@ -0,0 +1,265 @@
+// =============================================================
+//  HOLOGLYPH-VOX.JS — MagicaVoxel .vox import / export
+//  No DOM access: works in browsers and Node.
+//  .vox is Z-up; .glyf is Y-up, so vox (x, y, z) ↔ glyf (x, z, depth - 1 - y).
+// =============================================================
+
+import {
+  COLOR_MODEL,
+  HSBAUtil,
+  HologlyphFrameSource,
+  createHologlyphHeader,
+  medianCut,
+  voxelToRgbaUnit,
+} from "./hologlyph-core.js";
+
+const VOX_MAGIC = "VOX ";
+const VOX_VERSION = 150; // Plain SIZE/XYZI pairs; MagicaVoxel plays several as animation frames
+const VOX_MAX_SIZE = 256; // Largest model MagicaVoxel opens, per axis
+const VOX_MAX_COLORS = 255; // Colour index 0 means empty
+
+// -----------------------------
+// Import
+// -----------------------------
+
+/**
+ * Convert a MagicaVoxel .vox file to .glyf. Every model becomes one frame
+ * (scene-graph transforms are ignored); the grid is the largest model size.
+ * Palette colours are converted to HSBA with HSBAUtil.
+ * @param {Uint8Array|ArrayBuffer} input - .vox file bytes
+ * @param {Object} [options] - createHologlyphHeader options for the result
+ *   (e.g. frameDurationMs, loop, version), plus:
+ * @param {number} [options.colorModel=COLOR_MODEL.HSBA_255_100] - HSBA_255_100, or
+ *   INDEXED to keep the .vox palette (as HSBA) with 1-byte indices
+ * @returns {Uint8Array} - Uncompressed .glyf file
+ */
+export function importVox(input, options = {}) {
+  const u8 = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const { models, palette } = readVox(u8);
+  const { colorModel = COLOR_MODEL.HSBA_255_100, ...headerOptions } = options;
+  if (colorModel !== COLOR_MODEL.HSBA_255_100 && colorModel !== COLOR_MODEL.INDEXED) {
+    throw new Error("importVox writes HSBA or indexed files");
+  }
+
+  // .vox colour index i → HSBA bytes (index 0 stays empty). Zero brightness
+  // marks an empty voxel, so black is kept visible at 1%.
+  const hsbaPalette = new Uint8Array(256 * 4);
+  for (let i = 1; i < 256; i++) {
+    const [r, g, b, a] = palette.subarray(i * 4, i * 4 + 4);
+    const hsba = HSBAUtil.fromRgba({ r, g, b, a });
+    hsba.b = Math.max(hsba.b, 1);
+    hsbaPalette.set(HSBAUtil.encodePixel(hsba), i * 4);
+  }
+
+  const width = Math.max(...models.map((model) => model.sizeX));
+  const height = Math.max(...models.map((model) => model.sizeZ));
+  const depth = Math.max(...models.map((model) => model.sizeY));
+  const bytesPerVoxel = colorModel === COLOR_MODEL.INDEXED ? 1 : 4;
+  const frameSizeBytes = width * height * depth * bytesPerVoxel;
+
+  const header = createHologlyphHeader({
+    metadata: { tool: "MagicaVoxel" },
+    ...headerOptions,
+    width,
+    height,
+    depth,
+    frameCount: models.length,
+    bytesPerVoxel,
+    colorModel,
+    palette: colorModel === COLOR_MODEL.INDEXED ? hsbaPalette : null,
+  });
+
+  const file = new Uint8Array(header.length + frameSizeBytes * models.length);
+  file.set(header, 0);
+  models.forEach((model, frame) => {
+    const frameOffset = header.length + frame * frameSizeBytes;
+    for (let v = 0; v < model.voxels.length; v += 4) {
+      const [vx, vy, vz, colour] = model.voxels.subarray(v, v + 4);
+      const index = ((depth - 1 - vy) * height + vz) * width + vx;
+      if (bytesPerVoxel === 1) {
+        file[frameOffset + index] = colour;
+      } else {
+        file.set(hsbaPalette.subarray(colour * 4, colour * 4 + 4), frameOffset + index * 4);
+      }
+    }
+  });
+  return file;
+}
+
+// Parse the chunk tree: SIZE/XYZI model pairs and the RGBA palette, skipping everything else
+function readVox(u8) {
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  if (u8.length < 20 || readTag(u8, 0) !== VOX_MAGIC) {
+    throw new Error("Not a MagicaVoxel file (bad magic)");
+  }
+  if (readTag(u8, 8) !== "MAIN") throw new Error("MagicaVoxel file has no MAIN chunk");
+
+  const models = [];
+  let palette = null;
+  let size = null;
+  let pos = 20 + dv.getUint32(12, true); // Skip MAIN's own content
+  while (pos + 12 <= u8.length) {
+    const tag = readTag(u8, pos);
+    const length = dv.getUint32(pos + 4, true);
+    const content = pos + 12;
+    if (content + length > u8.length) throw new Error(`MagicaVoxel ${tag} chunk is truncated`);
+
+    if (tag === "SIZE") {
+      size = { sizeX: dv.getUint32(content, true), sizeY: dv.getUint32(content + 4, true), sizeZ: dv.getUint32(content + 8, true) };
+      for (const [axis, value] of Object.entries(size)) {
+        if (value < 1 || value > VOX_MAX_SIZE) throw new Error(`MagicaVoxel model ${axis} ${value} is outside 1-${VOX_MAX_SIZE}`);
+      }
+    } else if (tag === "XYZI") {
+      if (!size) throw new Error("MagicaVoxel XYZI chunk without a SIZE chunk");
+      const count = dv.getUint32(content, true);
+      if (4 + count * 4 > length) throw new Error("MagicaVoxel XYZI chunk is truncated");
+      const voxels = u8.subarray(content + 4, content + 4 + count * 4);
+      for (let v = 0; v < voxels.length; v += 4) {
+        if (voxels[v] >= size.sizeX || voxels[v + 1] >= size.sizeY || voxels[v + 2] >= size.sizeZ) {
+          throw new Error(`MagicaVoxel voxel (${voxels[v]}, ${voxels[v + 1]}, ${voxels[v + 2]}) is outside its model`);
+        }
+      }
+      models.push({ ...size, voxels });
+      size = null;
+    } else if (tag === "RGBA") {
+      // Chunk entry i is colour index i + 1
+      palette = new Uint8Array(256 * 4);
+      palette.set(u8.subarray(content, content + Math.min(length, 255 * 4)), 4);
+    }
+    pos = content + length; // Any children follow directly and are read in turn
+  }
+
+  if (models.length === 0) throw new Error("MagicaVoxel file contains no models");
+  return { models, palette: palette ?? getDefaultPalette() };
+}
+
+function readTag(u8, pos) {
+  return String.fromCharCode(u8[pos], u8[pos + 1], u8[pos + 2], u8[pos + 3]);
+}
+
+// MagicaVoxel's built-in palette, used when a file has no RGBA chunk: a 6×6×6
+// colour cube (index 1 = white … 215), then red, green, blue and grey ramps
+let defaultPalette = null;
+function getDefaultPalette() {
+  if (defaultPalette) return defaultPalette;
+  const levels = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+  const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+  const colours = [[0, 0, 0, 0]];
+  for (const r of levels) {
+    for (const g of levels) {
+      for (const b of levels) {
+        if (r || g || b) colours.push([r, g, b, 255]);
+      }
+    }
+  }
+  for (const value of ramp) colours.push([value, 0, 0, 255]);
+  for (const value of ramp) colours.push([0, value, 0, 255]);
+  for (const value of ramp) colours.push([0, 0, value, 255]);
+  for (const value of ramp) colours.push([value, value, value, 255]);
+
+  defaultPalette = new Uint8Array(colours.flat());
+  return defaultPalette;
+}
+
+// -----------------------------
+// Export
+// -----------------------------
+
+/**
+ * Convert a .glyf file to MagicaVoxel .vox, one model per frame. Colours are
+ * reduced to MagicaVoxel's 255-entry palette (median cut when there are more).
+ * @param {HologlyphFrameSource|Uint8Array|ArrayBuffer} source - Frame source or complete
+ *   .glyf file (DEFLATE files must be decompressed first)
+ * @returns {Uint8Array} - .vox file bytes
+ * @throws {Error} If the grid is larger than 256 on any axis
+ */
+export function exportVox(source) {
+  const frames = source instanceof HologlyphFrameSource ? source : new HologlyphFrameSource(source);
+  const { header } = frames;
+  const { width, height, depth, frameCount } = header;
+  if (Math.max(width, height, depth) > VOX_MAX_SIZE) {
+    throw new Error(`MagicaVoxel models are at most ${VOX_MAX_SIZE} voxels per axis; this grid is ${width}×${height}×${depth}`);
+  }
+
+  // Visible voxels of every frame as packed 8-bit RGBA, plus a colour histogram
+  const frameVoxels = [];
+  const counts = new Map();
+  for (let f = 0; f < frameCount; f++) {
+    const { count, indices, voxels } = frames.getOccupied(f);
+    const positions = [];
+    const colours = [];
+    for (let i = 0; i < count; i++) {
+      const rgba = voxelToRgbaUnit(voxels, i, header);
+      if (!rgba) continue;
+      const colour = ((Math.round(rgba[0] * 255) << 24) | (Math.round(rgba[1] * 255) << 16) |
+        (Math.round(rgba[2] * 255) << 8) | Math.round(rgba[3] * 255)) >>> 0;
+      positions.push(indices[i]);
+      colours.push(colour);
+      counts.set(colour, (counts.get(colour) || 0) + 1);
+    }
+    frameVoxels.push({ positions, colours });
+  }
+
+  const buckets = medianCut([...counts].map(([colour, count]) => ({
+    channels: [colour >>> 24, (colour >>> 16) & 0xff, (colour >>> 8) & 0xff, colour & 0xff],
+    colour,
+    count,
+  })), VOX_MAX_COLORS);
+
+  // Bucket b becomes colour index b + 1 (RGBA chunk entry b)
+  const paletteChunk = new Uint8Array(256 * 4);
+  const indexOf = new Map();
+  buckets.forEach((bucket, b) => {
+    const total = bucket.reduce((sum, entry) => sum + entry.count, 0);
+    for (let c = 0; c < 4; c++) {
+      const sum = bucket.reduce((acc, entry) => acc + entry.channels[c] * entry.count, 0);
+      paletteChunk[b * 4 + c] = Math.round(sum / total);
+    }
+    for (const entry of bucket) indexOf.set(entry.colour, b + 1);
+  });
+
+  const chunks = [];
+  for (const { positions, colours } of frameVoxels) {
+    const size = new Uint8Array(12);
+    const sizeView = new DataView(size.buffer);
+    sizeView.setUint32(0, width, true);
+    sizeView.setUint32(4, depth, true);
+    sizeView.setUint32(8, height, true);
+    chunks.push(["SIZE", size]);
+
+    const xyzi = new Uint8Array(4 + positions.length * 4);
+    new DataView(xyzi.buffer).setUint32(0, positions.length, true);
+    positions.forEach((index, i) => {
+      const x = index % width;
+      const row = Math.floor(index / width);
+      const y = row % height;
+      const z = Math.floor(row / height);
+      xyzi.set([x, depth - 1 - z, y, indexOf.get(colours[i])], 4 + i * 4);
+    });
+    chunks.push(["XYZI", xyzi]);
+  }
+  chunks.push(["RGBA", paletteChunk]);
+
+  const childrenLength = chunks.reduce((sum, [, content]) => sum + 12 + content.length, 0);
+  const out = new Uint8Array(20 + childrenLength);
+  const dv = new DataView(out.buffer);
+  writeTag(out, 0, VOX_MAGIC);
+  dv.setUint32(4, VOX_VERSION, true);
+  writeTag(out, 8, "MAIN");
+  dv.setUint32(12, 0, true);
+  dv.setUint32(16, childrenLength, true);
+
+  let pos = 20;
+  for (const [tag, content] of chunks) {
+    writeTag(out, pos, tag);
+    dv.setUint32(pos + 4, content.length, true);
+    dv.setUint32(pos + 8, 0, true);
+    out.set(content, pos + 12);
+    pos += 12 + content.length;
+  }
+  return out;
+}
+
+function writeTag(u8, pos, tag) {
+  for (let i = 0; i < 4; i++) u8[pos + i] = tag.charCodeAt(i);
+}
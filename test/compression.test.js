@@ -0,0 +1,43 @@
+// Round-trips the sample file through every compression type
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  COMPRESSION_TYPE,
+  HologlyphFrameSource,
+  compressGlyfFileAsync,
+  decompressGlyfFileAsync,
+  parseHologlyphHeader,
+} from "../hologlyph-core.js";
+
+const sample = new Uint8Array(readFileSync(new URL("../floating-pyramid-compressed.glyf", import.meta.url)));
+const raw = await decompressGlyfFileAsync(sample);
+const rawHeader = parseHologlyphHeader(raw);
+const rawVoxels = raw.subarray(rawHeader.dataOffset);
+
+for (const [name, compressionType] of Object.entries(COMPRESSION_TYPE)) {
+  test(`${name} round-trips the sample file`, async () => {
+    const compressed = await compressGlyfFileAsync(raw, { compressionType });
+    const header = parseHologlyphHeader(compressed);
+    assert.equal(header.compressionType, compressionType);
+
+    const restored = await decompressGlyfFileAsync(compressed);
+    const restoredHeader = parseHologlyphHeader(restored);
+    for (const field of ["width", "height", "depth", "frameCount", "frameDurationMs", "colorModel", "bytesPerVoxel"]) {
+      assert.equal(restoredHeader[field], rawHeader[field], field);
+    }
+    assert.deepEqual(restored.subarray(restoredHeader.dataOffset), rawVoxels);
+  });
+
+  // DEFLATE is inflated as a whole, so there is no per-frame access to check
+  if (compressionType === COMPRESSION_TYPE.DEFLATE) continue;
+
+  test(`${name} frames read back individually`, async () => {
+    const frames = new HologlyphFrameSource(await compressGlyfFileAsync(raw, { compressionType }), { cacheSize: 2 });
+    // Backwards, so DELTA frames are decoded out of order
+    for (let f = rawHeader.frameCount - 1; f >= 0; f--) {
+      const offset = f * rawHeader.frameSizeBytes;
+      assert.deepEqual(frames.getFrame(f), rawVoxels.subarray(offset, offset + rawHeader.frameSizeBytes), `frame ${f}`);
+    }
+  });
+}
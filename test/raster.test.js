@@ -0,0 +1,24 @@
+// Golden-image test for the software renderer. After an intended rendering
+// change, regenerate the image with UPDATE_GOLDEN=1 npm test and check it in.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import { decompressGlyfFileAsync } from "../hologlyph-core.js";
+import { renderFrame, diffImages } from "../hologlyph-raster.js";
+
+const GOLDEN = new URL("./golden/floating-pyramid-frame0-64.rgba", import.meta.url);
+const SIZE = 64;
+
+test("renderFrame matches the golden image", async () => {
+  const sample = readFileSync(new URL("../floating-pyramid-compressed.glyf", import.meta.url));
+  const image = renderFrame(await decompressGlyfFileAsync(new Uint8Array(sample)), 0, { width: SIZE, height: SIZE });
+
+  if (process.env.UPDATE_GOLDEN) writeFileSync(GOLDEN, image.data);
+  const golden = { width: SIZE, height: SIZE, data: new Uint8ClampedArray(readFileSync(GOLDEN)) };
+
+  assert.equal(golden.data.length, image.data.length, "golden image size");
+  assert.ok(image.data.some((value, i) => i % 4 === 3 && value > 0), "frame renders something");
+  // One step of rounding slack for float differences between engines
+  const { differentPixels, maxDifference } = diffImages(image, golden, { tolerance: 1 });
+  assert.equal(differentPixels, 0, `${differentPixels} pixels differ from the golden image (largest difference ${maxDifference})`);
+});